@@ -0,0 +1,229 @@
+/**
+ * Admin HTTP API
+ *
+ * GET  /status                              - state of the connections and the mailbox counters
+ * GET  /metrics                             - metrics in the Prometheus text format
+ * POST /poll?server=name[&mailbox=name]     - immediate pass over the mailboxes
+ * POST /pause?server=name[&mailbox=name]    - pause processing of the server or the mailbox
+ * POST /resume?server=name[&mailbox=name]   - resume processing of the server or the mailbox
+ * POST /reload                              - re-read the configuration, the same as SIGHUP
+ * POST /reprocess?server=name&mailbox=name[&uid=1,2][&from=text][&since=date][&until=date][&reason=outcome][&dryRun=1]
+ *                                           - run the messages of the failure folder through the processing again
+ *
+ * The requests must be addressed to the configured `host:port` and must not come from a web page: a page opened
+ * in the browser of the admin could otherwise post to the local API. The POST requests also require
+ * `Authorization: Bearer <token>` if `token` is configured
+ */
+'use strict';
+
+const http      = require('http');
+const url       = require('url');
+const logger    = require('./logger')();
+const metrics   = require('./metrics')();
+const journal   = require('./journal')();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a day given as YYYY-MM-DD
+ * @param value { String }
+ * @param name { String } The parameter name
+ * @returns { Date } The local midnight
+ * @throws { Error } If the value is not a valid day
+ */
+function parseDay(value, name) {
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(`${value}T00:00`) : NaN;
+    if (isNaN(time))
+        throw new Error(`Invalid ${name}: '${value}', expected YYYY-MM-DD`);
+    return new Date(time);
+}
+
+// A flag given as `?dryRun`, `?dryRun=1` or `?dryRun=true`
+const isSet = value => value !== undefined && ['0', 'false'].indexOf(value) === -1;
+
+/**
+ * Compares the strings in a time not depending on the position of the first difference
+ * @param a { String }
+ * @param b { String }
+ * @returns { Boolean }
+ */
+function safeEqual(a, b) {
+    let diff = a.length ^ b.length;
+    for (let i = 0; i < a.length; i++)
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i % (b.length || 1));
+    return diff === 0;
+}
+
+/**
+ * Makes the filter of the messages to reprocess from the query parameters
+ * @param query { Object } { uid, from, since, until, reason }, `until` is inclusive
+ * @returns { Object } The filter for `Multimap.reprocess`
+ * @throws { Error } If a parameter is invalid
+ */
+function parseReprocessFilter(query) {
+    const filter = {};
+
+    if (query.uid) {
+        filter.uids = String(query.uid).split(',').map(Number);
+        if (!filter.uids.every(uid => uid > 0 && Math.floor(uid) === uid))
+            throw new Error(`Invalid uid: '${query.uid}', expected a comma separated list of UIDs`);
+    }
+    if (query.from)
+        filter.from = query.from;
+    if (query.since)
+        filter.since = parseDay(query.since, 'since');
+    if (query.until)
+        filter.until = new Date(parseDay(query.until, 'until').getTime() + DAY);
+    if (query.reason) {
+        if (journal.failures.indexOf(query.reason) === -1)
+            throw new Error(`Invalid reason: '${query.reason}', expected one of: ${journal.failures.join(', ')}`);
+        filter.reason = query.reason;
+    }
+
+    return filter;
+}
+
+class Admin {
+    /**
+     * @param multimap The Multimap instance
+     * @param config { Object } { enabled, host, port, token }
+     */
+    constructor(multimap, config) {
+        this.multimap = multimap;
+        this.config = Object.assign({ enabled: false, host: '127.0.0.1', port: 8025, token: '' }, config);
+        this.server = null;
+
+        const host = this.config.host.indexOf(':') === -1 ? this.config.host : `[${this.config.host}]`;
+        this.hostHeader = `${host}:${this.config.port}`.toLowerCase();
+
+        this.routes = {
+            'GET /status': () => ({ servers: this.multimap.getStatus() }),
+            'GET /metrics': () => metrics.registry.render(),
+            'POST /reload': () => this.multimap.reload()
+        };
+
+        // The actions on a server or one of its mailboxes, may return a promise of the result
+        this.serverRoutes = {
+            'POST /poll': (conn, boxName) => this.multimap.requestPass(conn, boxName),
+            'POST /pause': (conn, boxName) => this.multimap.pause(conn, boxName),
+            'POST /resume': (conn, boxName) => this.multimap.resume(conn, boxName),
+            'POST /reprocess': (conn, boxName, query) => {
+                if (!boxName)
+                    throw new Error('The mailbox is required');
+                return this.multimap.reprocess(conn, boxName, parseReprocessFilter(query), isSet(query.dryRun));
+            }
+        };
+    }
+
+    start() {
+        if (!this.config.enabled)
+            return;
+
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.server.on('error', err => logger.error(`Admin API error: ${err}`));
+        this.server.listen(this.config.port, this.config.host, () => {
+            logger.info(`Admin API listening on ${this.config.host}:${this.config.port}`);
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    send(res, statusCode, obj) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(obj, null, 2));
+    }
+
+    sendText(res, statusCode, text) {
+        res.writeHead(statusCode, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(text);
+    }
+
+    /**
+     * Checks that the request is made by a client of the API, see the top of the file
+     * @param req
+     * @returns { Object } The error { statusCode, error } or null if the request is allowed
+     */
+    authorize(req) {
+        if ((req.headers.host || '').toLowerCase() !== this.hostHeader)
+            return { statusCode: 403, error: `The requests are only accepted for ${this.hostHeader}` };
+        if (req.headers.origin !== undefined)
+            return { statusCode: 403, error: 'The requests from web pages are not accepted' };
+
+        const token = this.config.token;
+        if (req.method !== 'GET' && token && !safeEqual(req.headers.authorization || '', `Bearer ${token}`))
+            return { statusCode: 401, error: 'The token is missing or invalid' };
+        return null;
+    }
+
+    handle(req, res) {
+        const parsed = url.parse(req.url, true);
+        const key = `${req.method} ${parsed.pathname}`;
+        const route = this.serverRoutes[key];
+        const query = parsed.query;
+
+        const denied = this.authorize(req);
+        if (denied) {
+            logger.error(`Admin API: ${req.method} ${req.url} denied: ${denied.error}`);
+            this.send(res, denied.statusCode, { error: denied.error });
+            return;
+        }
+
+        if (this.routes[key]) {
+            if (req.method !== 'GET')
+                logger.info(`Admin API: ${req.method} ${req.url}`);
+
+            let result;
+            try {
+                result = this.routes[key]();
+            } catch (e) {
+                logger.error(`Admin API: ${req.method} ${req.url} failed: ${e.message}`);
+                this.send(res, 400, { error: e.message });
+                return;
+            }
+
+            if (typeof result === 'string')
+                this.sendText(res, 200, result);
+            else
+                this.send(res, 200, result);
+            return;
+        }
+
+        if (!route) {
+            this.send(res, 404, { error: `Unknown request: ${key}` });
+            return;
+        }
+
+        const conn = this.multimap.findConnection(query.server);
+        if (!conn) {
+            this.send(res, 404, { error: `Unknown server: '${query.server}'` });
+            return;
+        }
+
+        const boxName = query.mailbox;
+        if (boxName && !conn.config.mailboxConfig[boxName]) {
+            this.send(res, 404, { error: `Unknown mailbox: '${boxName}' of the server '${query.server}'` });
+            return;
+        }
+
+        logger.info(`Admin API: ${req.method} ${req.url}`);
+        Promise
+            .resolve()
+            .then(() => route(conn, boxName, query))
+            .then(result => this.send(res, 200, result || { ok: true }))
+            .catch(e => {
+                logger.error(`Admin API: ${req.method} ${req.url} failed: ${e.message}`);
+                this.send(res, 400, { error: e.message });
+            });
+    }
+}
+
+module.exports = (multimap, config) => new Admin(multimap, config);
@@ -0,0 +1,105 @@
+/**
+ * Attachment policy: which attachments of a message are saved to HPSM
+ */
+'use strict';
+
+// The reasons of skipping an attachment, the keys of `attachmentPolicy.notice` in config.js.
+// The infected attachments are skipped by the scanner
+const reasons = ['inline', 'type', 'fileSize', 'messageSize', 'infected'];
+
+class AttachmentPolicy {
+    /**
+     * @param config { Object } See `attachmentPolicy` in config.js, the limits of 0 mean no limit
+     */
+    constructor(config) {
+        const normalize = list => (list || []).map(item => String(item).toLowerCase().replace(/^\./, ''));
+
+        this.config = Object.assign({
+            maxFileSize: 0,
+            maxMessageSize: 0,
+            skipInlineImagesBelow: 0
+        }, config);
+        this.allowedExtensions = normalize(this.config.allowedExtensions);
+        this.deniedExtensions = normalize(this.config.deniedExtensions);
+        this.allowedTypes = normalize(this.config.allowedTypes);
+        this.deniedTypes = normalize(this.config.deniedTypes);
+    }
+
+    getFileName(attachment) {
+        return attachment.fileName || attachment.generatedFileName || '';
+    }
+
+    getExtension(attachment) {
+        const match = this.getFileName(attachment).match(/\.([^.]+)$/);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Checks the MIME type against the list of the types like `application/pdf` or `video/*`
+     * @param list { Array }
+     * @param contentType { String }
+     * @returns { Boolean }
+     */
+    matchesType(list, contentType) {
+        const type = String(contentType || '').toLowerCase();
+        return list.some(item => item === type || (/\/\*$/.test(item) && type.indexOf(item.slice(0, -1)) === 0));
+    }
+
+    /**
+     * An image shown in the message body, like a logo in the signature
+     * @param attachment The attachment parsed by MailParser
+     * @returns { Boolean }
+     */
+    isInlineImage(attachment) {
+        const disposition = attachment.contentDisposition;
+        return /^image\//i.test(attachment.contentType || '') &&
+            (disposition === 'inline' || (!disposition && !!attachment.contentId));
+    }
+
+    isTypeAllowed(attachment) {
+        const extension = this.getExtension(attachment);
+        const contentType = attachment.contentType;
+
+        if (this.deniedExtensions.indexOf(extension) !== -1 || this.matchesType(this.deniedTypes, contentType))
+            return false;
+        if (this.allowedExtensions.length && this.allowedExtensions.indexOf(extension) === -1)
+            return false;
+        return !this.allowedTypes.length || this.matchesType(this.allowedTypes, contentType);
+    }
+
+    /**
+     * Splits the attachments into the ones to save and the skipped ones.
+     * The total size limit skips the attachments that do not fit in it, in the order of the message
+     * @param attachments { Array } The attachments parsed by MailParser
+     * @returns { Object } { accepted, skipped }, the skipped items are { attachment, fileName, size, reason }
+     */
+    apply(attachments) {
+        const config = this.config;
+        let total = 0;
+
+        return attachments.reduce((result, attachment) => {
+            const size = attachment.length || 0;
+            let reason = null;
+
+            if (this.isInlineImage(attachment) && size < config.skipInlineImagesBelow)
+                reason = 'inline';
+            else if (!this.isTypeAllowed(attachment))
+                reason = 'type';
+            else if (config.maxFileSize && size > config.maxFileSize)
+                reason = 'fileSize';
+            else if (config.maxMessageSize && total + size > config.maxMessageSize)
+                reason = 'messageSize';
+
+            if (reason) {
+                result.skipped.push({ attachment, fileName: this.getFileName(attachment), size, reason });
+            } else {
+                total += size;
+                result.accepted.push(attachment);
+            }
+            return result;
+        }, { accepted: [], skipped: [] });
+    }
+}
+
+module.exports = (config) => new AttachmentPolicy(config);
+module.exports.reasons = reasons;
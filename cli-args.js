@@ -0,0 +1,38 @@
+/**
+ * Command line options of the tools: `--name value`, `--name=value` and the flags `--name`
+ */
+'use strict';
+
+/**
+ * @param argv { Array } The arguments following the script name
+ * @param known { Array } The option names, `--config` is accepted by all the tools
+ * @param flags { Array } The options having no value
+ * @returns { Object } The option name -> value, `true` for the flags
+ * @throws { Error } If an option is unknown or has no value
+ */
+function parseArgs(argv, known, flags) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z][a-z-]*)(?:=(.*))?$/);
+        if (!match)
+            throw new Error(`Unexpected argument '${argv[i]}'`);
+
+        const name = match[1];
+        if (name !== 'config' && known.indexOf(name) === -1 && flags.indexOf(name) === -1) {
+            throw new Error(`Unknown option --${name}`);
+        } else if (flags.indexOf(name) !== -1) {
+            options[name] = true;
+        } else if (match[2] !== undefined) {
+            options[name] = match[2];
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new Error(`The option --${name} requires a value`);
+        }
+    }
+
+    return options;
+}
+
+module.exports = parseArgs;
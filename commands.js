@@ -0,0 +1,174 @@
+/**
+ * The commands in the replies changing the issue, one per line like `#close` or `#priority high`
+ */
+'use strict';
+
+const cheerio = require('cheerio');
+const router  = require('./router');
+
+// The HPSM ids like `TMS000000000004`
+const idRe = /^[A-Z]{3}\d{12}$/i;
+
+// The identities checked by the methods of `Authentication-Results`, like `header.d=example.ru`
+const identityRe = /\b(?:header\.from|header\.d|header\.i|smtp\.mailfrom)\s*=\s*"?([^\s";]+)/ig;
+
+class Commands {
+    /**
+     * @param config { Object } See `commands` in config.js
+     */
+    constructor(config) {
+        this.config = Object.assign({ enabled: false, agents: [], agentPersonIds: [], list: {} }, config);
+        this.authentication = Object.assign({ authServIds: [], methods: [] }, this.config.authentication);
+        this.list = Object
+            .keys(this.config.list)
+            .reduce((result, name) => {
+                result[name.toLowerCase()] = this.config.list[name];
+                return result;
+            }, {});
+        this.names = Object.keys(this.list);
+    }
+
+    /**
+     * Removes the command lines from the description
+     * @param html { String } The description, see `formatBody` in imap.js
+     * @returns { Object } { body, commands }, the commands are { name, argument, line }
+     */
+    extract(html) {
+        const result = { body: html, commands: [] };
+        if (!this.config.enabled || !this.names.length) {
+            return result;
+        }
+
+        const re = new RegExp(`^#(${this.names.join('|')})(?:\\s+(.+?))?$`, 'i');
+        const $ = cheerio.load(html || '', { decodeEntities: false });
+
+        const visit = nodes => nodes.each((i, node) => {
+            if (node.type === 'tag') {
+                visit($(node).contents());
+                return;
+            }
+            if (node.type !== 'text') {
+                return;
+            }
+
+            const line = node.data.replace(/&nbsp;/g, ' ').trim();
+            const match = line.match(re);
+            if (!match) {
+                return;
+            }
+
+            result.commands.push({ name: match[1].toLowerCase(), argument: (match[2] || '').trim(), line });
+            const $node = $(node);
+            const $parent = $node.parent();
+            // The line break of the text bodies following the command
+            if (node.next && node.next.type === 'tag' && node.next.name === 'br') {
+                $(node.next).remove();
+            }
+            $node.remove();
+            if ($parent.length && !$parent.is('body') && !$parent.text().trim() && !$parent.find('img').length) {
+                $parent.remove();
+            }
+        });
+
+        visit($.root().contents());
+        result.body = $.html().replace(/^(\s*<br>)+/, '');
+        return result;
+    }
+
+    /**
+     * @param command { Object } See `extract`
+     * @param roles { Array } The roles of the sender: `customer` and `agent`
+     * @returns { Boolean }
+     */
+    isAllowed(command, roles) {
+        const allowed = this.list[command.name].roles || [];
+        return allowed.some(role => role === 'any' || roles.indexOf(role) !== -1);
+    }
+
+    /**
+     * The roles of the sender: `customer` of the issue author or customer, `agent` of `agentPersonIds`
+     * or of the `agents` addresses, if the address is authenticated
+     * @param issue The issue fetched from HPSM
+     * @param personId { String } The person of the sender, null if unknown
+     * @param address { String } The address of the sender
+     * @param authResults { Array } The `Authentication-Results` headers of the message
+     * @returns { Array }
+     */
+    getRoles(issue, personId, address, authResults) {
+        // The field names as sent or as returned by HPSM
+        const field = name => issue[name] || issue[name[0].toUpperCase() + name.slice(1)];
+        const roles = [];
+
+        if (personId && (field('authorId') === personId || field('customerId') === personId))
+            roles.push('customer');
+        if (personId && this.config.agentPersonIds.indexOf(personId) !== -1 ||
+            address && router().testAddress(this.config.agents, address.toLowerCase()) && this.isAuthenticated(authResults, address))
+            roles.push('agent');
+        return roles;
+    }
+
+    /**
+     * Whether a trusted mail server has checked the sender: one of `methods` passed for the domain of the address
+     * or its parent domain. Only the headers added by `authServIds` count, the others may be forged by the sender
+     * @param authResults { Array } The `Authentication-Results` headers
+     * @param address { String }
+     * @returns { Boolean }
+     */
+    isAuthenticated(authResults, address) {
+        const auth = this.authentication;
+        const domain = address.toLowerCase().split('@')[1] || '';
+        const isAligned = identity => {
+            const checked = identity.toLowerCase().split('@').pop();
+            return domain === checked || domain.slice(-checked.length - 1) === `.${checked}`;
+        };
+
+        return !!domain && (authResults || []).some(header => {
+            // The comments like `(mail.example.ru: domain of bob@example.ru designates 10.0.0.1 as permitted sender)`
+            const parts = header.replace(/\([^()]*\)/g, '').split(';').map(part => part.trim());
+            if (auth.authServIds.indexOf(parts[0].split(/\s+/)[0].toLowerCase()) === -1)
+                return false;
+
+            return parts.slice(1).some(part => {
+                const result = part.match(/^([\w-]+)\s*=\s*pass\b/i);
+                if (!result || auth.methods.indexOf(result[1].toLowerCase()) === -1)
+                    return false;
+                const identities = (part.match(identityRe) || []).map(match => match.replace(identityRe, '$1'));
+                return identities.some(isAligned);
+            });
+        });
+    }
+
+    /**
+     * Makes the issue fields of the command
+     * @param command { Object } See `extract`
+     * @returns { Object } Either { fields }, { lookup: { field, model, by, value } } or { error } with the reason
+     */
+    getUpdate(command) {
+        const config = this.list[command.name];
+        const argument = command.argument;
+
+        // The commands setting a constant value, like `#close`, the text following them is ignored
+        if (config.set) {
+            return { fields: Object.assign({}, config.set) };
+        }
+        if (!argument) {
+            return { error: 'invalid' };
+        }
+
+        // The written values, like `#priority high`
+        if (config.values) {
+            const name = Object.keys(config.values).filter(name => name.toLowerCase() === argument.toLowerCase())[0];
+            return name !== undefined ? { fields: { [config.field]: config.values[name] } } : { error: 'invalid' };
+        }
+        // The ids or the names to look up, like `#assign TMS000000000004` or `#assign Network`
+        if (idRe.test(argument)) {
+            return { fields: { [config.field]: argument.toUpperCase() } };
+        }
+        if (config.lookup) {
+            return { lookup: { field: config.field, model: config.lookup.model, by: config.lookup.by, value: argument } };
+        }
+        return { error: 'invalid' };
+    }
+}
+
+module.exports = (config) => new Commands(config);
@@ -0,0 +1,177 @@
+/**
+ * Loads the configuration: config.js, the file given with `--config`, the environment overrides
+ */
+'use strict';
+
+const fs              = require('fs');
+const path            = require('path');
+const yaml            = require('js-yaml');
+const mergeConfig     = require('./merge-config');
+const validateConfig  = require('./config-schema');
+
+const isPlainObject = obj => Object.prototype.toString.call(obj) === '[object Object]';
+
+// The environment variables overriding the secrets and the hosts
+const globalEnv = {
+    NODE_IMAP_REST_HOST: ['restConfig', 'host'],
+    NODE_IMAP_REST_PORT: ['restConfig', 'port'],
+    NODE_IMAP_REST_USER: ['restConfig', 'user'],
+    NODE_IMAP_REST_PASSWORD: ['restConfig', 'password'],
+    NODE_IMAP_DB_QUERY_URI: ['restConfig', 'dbQueryUri'],
+    NODE_IMAP_ADMIN_HOST: ['adminConfig', 'host'],
+    NODE_IMAP_ADMIN_PORT: ['adminConfig', 'port'],
+    NODE_IMAP_ADMIN_TOKEN: ['adminConfig', 'token'],
+    NODE_IMAP_LOG_LEVEL: ['logConfig', 'level']
+};
+
+// The same per server, like `NODE_IMAP_INSTANCE01_IMAP_PASSWORD` for the server `instance01`
+const serverEnv = {
+    IMAP_HOST: ['imapConfig', 'host'],
+    IMAP_PORT: ['imapConfig', 'port'],
+    IMAP_USER: ['imapConfig', 'user'],
+    IMAP_PASSWORD: ['imapConfig', 'password'],
+    SMTP_HOST: ['smtpConfig', 'host'],
+    SMTP_PORT: ['smtpConfig', 'port'],
+    SMTP_USER: ['smtpConfig', 'auth', 'user'],
+    SMTP_PASSWORD: ['smtpConfig', 'auth', 'pass'],
+    REST_HOST: ['restConfig', 'host'],
+    REST_USER: ['restConfig', 'user'],
+    REST_PASSWORD: ['restConfig', 'password']
+};
+
+/**
+ * Finds the configuration file in the arguments: `--config path` or `--config=path`,
+ * the `NODE_IMAP_CONFIG` variable is the fallback
+ * @param argv { Array }
+ * @param env { Object }
+ * @returns { String } The path or undefined
+ */
+function getConfigPath(argv, env) {
+    const i = argv.indexOf('--config');
+    if (i !== -1)
+        return argv[i + 1];
+
+    const arg = argv.filter(arg => arg.indexOf('--config=') === 0)[0];
+    return arg ? arg.slice('--config='.length) : env.NODE_IMAP_CONFIG;
+}
+
+/**
+ * Makes a deep copy of the value restoring the regular expressions. JSON and YAML
+ * have none, so they are written as `{ "regexp": "\\/\\/-+", "flags": "i" }`
+ * @param value
+ * @returns The copy
+ */
+function revive(value) {
+    if (Array.isArray(value))
+        return value.map(revive);
+
+    if (!isPlainObject(value))
+        return value;
+
+    const keys = Object.keys(value);
+    if (typeof value.regexp === 'string' && keys.every(key => key === 'regexp' || key === 'flags'))
+        return new RegExp(value.regexp, value.flags || '');
+
+    return keys.reduce((result, key) => {
+        result[key] = revive(value[key]);
+        return result;
+    }, {});
+}
+
+/**
+ * Reads the JSON or YAML configuration file
+ * @param filename { String }
+ * @returns { Object }
+ */
+function readConfigFile(filename) {
+    const fullName = path.resolve(filename);
+    let text;
+    try {
+        text = fs.readFileSync(fullName, 'utf8');
+    } catch (e) {
+        throw new Error(`Fatal error: could not read the configuration file '${fullName}': ${e.message}`);
+    }
+
+    try {
+        const data = /\.ya?ml$/i.test(fullName) ? yaml.safeLoad(text, { filename: fullName }) : JSON.parse(text);
+        return data || {};
+    } catch (e) {
+        throw new Error(`Fatal error: could not parse the configuration file '${fullName}': ${e.message}`);
+    }
+}
+
+function setPath(obj, keys, value) {
+    const last = keys.length - 1;
+    keys.slice(0, last).reduce((parent, key) => {
+        if (!isPlainObject(parent[key]))
+            parent[key] = {};
+        return parent[key];
+    }, obj)[keys[last]] = /^\d+$/.test(value) && /port$/i.test(keys[last]) ? Number(value) : value;
+}
+
+/**
+ * Applies the environment overrides to the configuration
+ * @param config { Object } Modified in place
+ * @param env { Object }
+ */
+function applyEnv(config, env) {
+    Object
+        .keys(globalEnv)
+        .filter(name => env[name] !== undefined)
+        .forEach(name => setPath(config, globalEnv[name], env[name]));
+
+    Object
+        .keys(config.servers || {})
+        .forEach(serverName => {
+            const server = config.servers[serverName];
+            const prefix = `NODE_IMAP_${serverName.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+
+            Object
+                .keys(serverEnv)
+                .filter(name => env[prefix + name] !== undefined)
+                .forEach(name => setPath(server, serverEnv[name], env[prefix + name]));
+        });
+}
+
+/**
+ * Loads the configuration. The settings of config.js are the defaults: the file given on the command line
+ * replaces the `servers` as a whole and overrides the `restConfig`, `adminConfig` and `logConfig` settings by keys.
+ * Then the environment overrides are applied and the result is validated
+ * @param argv { Array } The command line arguments
+ * @param env { Object } The environment variables
+ * @returns { Object } { servers, restConfig, adminConfig, logConfig }
+ */
+function loadConfig(argv, env) {
+    const defaults = require('./config');
+    const filename = getConfigPath(argv, env);
+    const file = filename ? readConfigFile(filename) : {};
+
+    // A copy, so the environment overrides never modify config.js
+    const config = revive({
+        servers: file.servers || defaults.servers,
+        restConfig: mergeConfig(defaults.restConfig, file.restConfig),
+        adminConfig: mergeConfig(defaults.adminConfig, file.adminConfig),
+        logConfig: mergeConfig(defaults.logConfig, file.logConfig)
+    });
+    applyEnv(config, env);
+
+    const errors = validateConfig(config);
+    if (errors.length) {
+        throw new Error([
+            `Fatal error: invalid configuration${filename ? ` in '${path.resolve(filename)}'` : ''}:`
+        ].concat(errors.map(error => `  ${error}`)).join('\n'));
+    }
+
+    return config;
+}
+
+let config = null;
+
+module.exports = () => config || (config = loadConfig(process.argv, process.env));
+
+/**
+ * Reads the configuration again. The current one is kept if the new one is invalid
+ * @returns { Object } The new configuration
+ * @throws { Error } The validation errors
+ */
+module.exports.reload = () => (config = loadConfig(process.argv, process.env));
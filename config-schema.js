@@ -0,0 +1,560 @@
+/**
+ * Validation of the configuration at startup
+ */
+'use strict';
+
+const mergeConfig = require('./merge-config');
+const attachmentPolicy = require('./attachment-policy');
+
+const isPlainObject = obj => Object.prototype.toString.call(obj) === '[object Object]';
+const isRe = obj => Object.prototype.toString.call(obj) === '[object RegExp]';
+const isString = value => typeof value === 'string' && value.length > 0;
+const isPositiveInteger = value => typeof value === 'number' && value > 0 && Math.floor(value) === value;
+const isPort = value => isPositiveInteger(value) && value <= 65535;
+const isNonNegativeInteger = value => value === 0 || isPositiveInteger(value);
+
+// The HPSM ids like `PRS000000000001`
+const idRe = /^[A-Z]{3}\d{12}$/;
+
+const attributeTypes = ['date', 'id', 'string', 'number', 'email', 'boolean', 'enum', 'lookup'];
+const attributeRejections = ['invalid', 'notFound', 'ambiguous', 'lookupError'];
+const rejectionReasons = ['unknownSender', 'spam', 'error'];
+const routingConditions = ['mailbox', 'to', 'tag', 'sender', 'senderDomain', 'subject', 'headers'];
+const logLevels = ['error', 'info', 'debug'];
+const logTargets = ['file', 'stdout', 'syslog'];
+const scanActions = ['drop', 'quarantine', 'fail'];
+const commandRoles = ['customer', 'agent', 'any'];
+const commandRejections = ['denied', 'invalid', 'notFound', 'ambiguous', 'lookupError', 'failed'];
+const authMethods = ['dmarc', 'dkim', 'spf'];
+const closedIssueActions = ['comment', 'reopen', 'notify', 'newIssue'];
+const spamKinds = ['person', 'address', 'domain'];
+const spamActions = ['flag', 'merge', 'reject'];
+
+/**
+ * Collects the errors with the path of the invalid setting, like `restConfig.spam.timeSpan: ...`
+ */
+class Errors {
+    constructor() {
+        this.list = [];
+    }
+
+    add(path, text) {
+        this.list.push(`${path}: ${text}`);
+    }
+
+    /**
+     * Adds the error unless the condition holds
+     * @returns { Boolean } The condition
+     */
+    check(condition, path, text) {
+        if (!condition)
+            this.add(path, text);
+        return !!condition;
+    }
+}
+
+/**
+ * Checks the attributes which are sent to HPSM as they are: the keys ending with `Id` must be HPSM ids
+ * @param errors { Errors }
+ * @param attrs { Object }
+ * @param path { String }
+ */
+function validateIssueAttrs(errors, attrs, path) {
+    if (!errors.check(isPlainObject(attrs), path, 'must be an object'))
+        return;
+
+    Object
+        .keys(attrs)
+        .forEach(key => {
+            if (/Id$/.test(key) && attrs[key] !== null)
+                errors.check(idRe.test(attrs[key]), `${path}.${key}`, `'${attrs[key]}' is not an id like 'PRS000000000001'`);
+        });
+}
+
+/**
+ * @param errors { Errors }
+ * @param attr Either the type or { type, field, values, model, by }
+ * @param paths { Object } The REST paths of the models
+ * @param path { String }
+ */
+function validateBodyAttribute(errors, attr, paths, path) {
+    const type = isPlainObject(attr) ? attr.type : attr;
+    if (!errors.check(attributeTypes.indexOf(type) !== -1, isPlainObject(attr) ? `${path}.type` : path,
+        `unknown type '${type}', expected one of: ${attributeTypes.join(', ')}`))
+        return;
+
+    if (!isPlainObject(attr)) {
+        errors.check(type !== 'enum' && type !== 'lookup', path, `the type '${type}' requires an object like { type: '${type}', ... }`);
+        return;
+    }
+
+    if (attr.field !== undefined)
+        errors.check(isString(attr.field), `${path}.field`, 'must be a non-empty string');
+    if (type === 'enum') {
+        errors.check((Array.isArray(attr.values) && attr.values.length > 0 && attr.values.every(isString)) ||
+            (isPlainObject(attr.values) && Object.keys(attr.values).length > 0), `${path}.values`,
+            'must be a non-empty list of strings or a map of the values');
+    }
+    if (type === 'lookup') {
+        errors.check(isString(attr.model) && isPlainObject(paths) && isString(paths[attr.model]), `${path}.model`,
+            'must be a model having its path in `paths`');
+        errors.check(isString(attr.by), `${path}.by`, 'must be the field to search by');
+    }
+}
+
+function validateCommands(errors, commands, paths, path) {
+    if (!errors.check(isPlainObject(commands), path, 'must be an object'))
+        return;
+
+    errors.check(typeof commands.enabled === 'boolean', `${path}.enabled`, 'must be true or false');
+    if (errors.check(Array.isArray(commands.agents), `${path}.agents`, 'must be an array'))
+        commands.agents.forEach((agent, i) => errors.check(isString(agent) || isRe(agent), `${path}.agents[${i}]`,
+            'must be an address, a domain like @example.ru or a regular expression'));
+    if (errors.check(Array.isArray(commands.agentPersonIds), `${path}.agentPersonIds`, 'must be an array'))
+        commands.agentPersonIds.forEach((id, i) => errors.check(idRe.test(id), `${path}.agentPersonIds[${i}]`,
+            `'${id}' is not an id like 'PRS000000000001'`));
+    const auth = commands.authentication;
+    if (errors.check(isPlainObject(auth), `${path}.authentication`, 'must be an object')) {
+        errors.check(Array.isArray(auth.authServIds) && auth.authServIds.every(isString), `${path}.authentication.authServIds`,
+            'must be an array of the mail server names');
+        errors.check(Array.isArray(auth.methods) && auth.methods.every(method => authMethods.indexOf(method) !== -1),
+            `${path}.authentication.methods`, `must be a list of: ${authMethods.join(', ')}`);
+    }
+
+    if (errors.check(isPlainObject(commands.list), `${path}.list`, 'must be an object')) {
+        Object
+            .keys(commands.list)
+            .forEach(name => {
+                const command = commands.list[name];
+                const commandPath = `${path}.list.${name}`;
+                if (!errors.check(isPlainObject(command), commandPath, 'must be an object'))
+                    return;
+
+                errors.check(/^[a-z][\w-]*$/i.test(name), commandPath, 'the name must be a word');
+                errors.check(Array.isArray(command.roles) && command.roles.every(role => commandRoles.indexOf(role) !== -1),
+                    `${commandPath}.roles`, `must be a list of: ${commandRoles.join(', ')}`);
+                if (command.set !== undefined) {
+                    validateIssueAttrs(errors, command.set, `${commandPath}.set`);
+                    return;
+                }
+                errors.check(isString(command.field), `${commandPath}.field`, 'must be the issue field, unless `set` is given');
+                if (command.values !== undefined)
+                    errors.check(isPlainObject(command.values), `${commandPath}.values`, 'must be a map of the values');
+                if (command.lookup !== undefined) {
+                    const lookup = command.lookup;
+                    errors.check(isPlainObject(lookup) && isString(lookup.model) && isPlainObject(paths) && isString(paths[lookup.model]) &&
+                        isString(lookup.by), `${commandPath}.lookup`, 'must be { model, by } with the model path in `paths`');
+                }
+            });
+    }
+    if (errors.check(isPlainObject(commands.notice), `${path}.notice`, 'must be an object')) {
+        ['done', 'title'].concat(commandRejections).forEach(key => {
+            errors.check(isString(commands.notice[key]), `${path}.notice.${key}`, 'must be a non-empty string');
+        });
+    }
+}
+
+function validateClosedIssues(errors, closedIssues, path) {
+    if (!errors.check(isPlainObject(closedIssues), path, 'must be an object'))
+        return;
+
+    if (errors.check(Array.isArray(closedIssues.statusIds), `${path}.statusIds`, 'must be an array')) {
+        closedIssues.statusIds.forEach((id, i) => {
+            errors.check(idRe.test(id), `${path}.statusIds[${i}]`, `'${id}' is not an id like 'STS000000000005'`);
+        });
+    }
+    errors.check(closedIssueActions.indexOf(closedIssues.action) !== -1, `${path}.action`,
+        `must be one of: ${closedIssueActions.join(', ')}`);
+    if (closedIssues.action === 'reopen')
+        errors.check(idRe.test(closedIssues.reopenStatusId), `${path}.reopenStatusId`, 'must be an id like \'STS000000000001\'');
+    errors.check(isNonNegativeInteger(closedIssues.newIssueAfterDays), `${path}.newIssueAfterDays`, 'must be a non-negative integer');
+    if (closedIssues.newIssueAfterDays)
+        errors.check(isString(closedIssues.closedOnField), `${path}.closedOnField`, 'must be the field of the closing date');
+    errors.check(typeof closedIssues.linkField === 'string', `${path}.linkField`, 'must be a string, empty to skip the link');
+    errors.check(isString(closedIssues.reference), `${path}.reference`, 'must be a non-empty string');
+}
+
+function validateAttachmentPolicy(errors, policy, path) {
+    if (!errors.check(isPlainObject(policy), path, 'must be an object'))
+        return;
+
+    ['maxFileSize', 'maxMessageSize', 'skipInlineImagesBelow'].forEach(key => {
+        errors.check(isNonNegativeInteger(policy[key]), `${path}.${key}`, 'must be a number of bytes, 0 for no limit');
+    });
+    ['allowedExtensions', 'deniedExtensions', 'allowedTypes', 'deniedTypes'].forEach(key => {
+        if (errors.check(Array.isArray(policy[key]), `${path}.${key}`, 'must be an array'))
+            policy[key].forEach((item, i) => errors.check(isString(item), `${path}.${key}[${i}]`, 'must be a non-empty string'));
+    });
+    if (errors.check(isPlainObject(policy.notice), `${path}.notice`, 'must be an object')) {
+        ['title'].concat(attachmentPolicy.reasons).forEach(key => {
+            errors.check(isString(policy.notice[key]), `${path}.notice.${key}`, 'must be a non-empty string');
+        });
+    }
+}
+
+function validateScanner(errors, scanner, path) {
+    if (!errors.check(isPlainObject(scanner), path, 'must be an object'))
+        return;
+
+    errors.check(typeof scanner.enabled === 'boolean', `${path}.enabled`, 'must be true or false');
+    if (!scanner.enabled)
+        return;
+
+    errors.check(isString(scanner.adapter), `${path}.adapter`, `must be 'clamd' or the path to a module`);
+    if (scanner.options !== undefined)
+        errors.check(isPlainObject(scanner.options), `${path}.options`, 'must be an object');
+    errors.check(scanActions.indexOf(scanner.onDetection) !== -1, `${path}.onDetection`,
+        `must be one of: ${scanActions.join(', ')}`);
+    errors.check(['fail', 'allow'].indexOf(scanner.onError) !== -1, `${path}.onError`, `must be 'fail' or 'allow'`);
+    if (scanner.onDetection === 'quarantine') {
+        errors.check(isString(scanner.quarantineFolder) && scanner.quarantineFolder !== '/', `${path}.quarantineFolder`,
+            'the folder is required');
+    }
+}
+
+function validateInlineImages(errors, inlineImages, path) {
+    if (!errors.check(isPlainObject(inlineImages), path, 'must be an object'))
+        return;
+
+    errors.check(isNonNegativeInteger(inlineImages.dataUriBelow), `${path}.dataUriBelow`, 'must be a number of bytes, 0 to disable');
+    errors.check(typeof inlineImages.url === 'string', `${path}.url`, 'must be a string, empty to keep the cid: links');
+}
+
+function validateDescription(errors, description, path) {
+    if (!errors.check(isPlainObject(description), path, 'must be an object'))
+        return;
+
+    const validateList = (list, listPath) => {
+        if (errors.check(Array.isArray(list), listPath, 'must be an array'))
+            list.forEach((item, i) => errors.check(isString(item), `${listPath}[${i}]`, 'must be a non-empty string'));
+    };
+
+    validateList(description.allowedTags, `${path}.allowedTags`);
+    validateList(description.droppedTags, `${path}.droppedTags`);
+    validateList(description.allowedSchemes, `${path}.allowedSchemes`);
+    if (errors.check(isPlainObject(description.allowedAttributes), `${path}.allowedAttributes`, 'must be an object')) {
+        Object
+            .keys(description.allowedAttributes)
+            .forEach(tag => {
+                const attributes = description.allowedAttributes[tag];
+                validateList(attributes, `${path}.allowedAttributes.${tag}`);
+                if (Array.isArray(attributes)) {
+                    attributes.forEach((name, i) => errors.check(!/^on/i.test(name), `${path}.allowedAttributes.${tag}[${i}]`,
+                        'the event handlers are not allowed'));
+                }
+            });
+    }
+    errors.check(typeof description.allowExternalImages === 'boolean', `${path}.allowExternalImages`, 'must be true or false');
+    errors.check(isNonNegativeInteger(description.maxLength), `${path}.maxLength`, 'must be a number of characters, 0 for no limit');
+    errors.check(isString(description.overflowFileName), `${path}.overflowFileName`, 'must be a non-empty string');
+    errors.check(isString(description.overflowNotice), `${path}.overflowNotice`, 'must be a non-empty string');
+}
+
+function validateRouting(errors, routing, path) {
+    if (!errors.check(isPlainObject(routing), path, 'must be an object'))
+        return;
+
+    errors.check(['first', 'merge'].indexOf(routing.mode) !== -1, `${path}.mode`, `must be 'first' or 'merge'`);
+    if (!errors.check(Array.isArray(routing.rules), `${path}.rules`, 'must be an array'))
+        return;
+
+    routing.rules.forEach((rule, i) => {
+        const rulePath = `${path}.rules[${i}]`;
+        if (!errors.check(isPlainObject(rule), rulePath, 'must be an object'))
+            return;
+
+        if (errors.check(isPlainObject(rule.match), `${rulePath}.match`, 'must be an object')) {
+            Object
+                .keys(rule.match)
+                .forEach(key => errors.check(routingConditions.indexOf(key) !== -1, `${rulePath}.match.${key}`,
+                    `unknown condition, expected one of: ${routingConditions.join(', ')}`));
+        }
+        validateIssueAttrs(errors, rule.set, `${rulePath}.set`);
+    });
+}
+
+/**
+ * Checks the thresholds of the senders, see `spam` in config.js
+ * @param errors { Errors }
+ * @param limits { Object } kind -> { action: number }, see `spam` in config.js
+ * @param path { String }
+ * @param actions { Array } The allowed actions
+ */
+function validateSpamLimits(errors, limits, path, actions) {
+    if (!errors.check(isPlainObject(limits), path, 'must be an object'))
+        return;
+    Object
+        .keys(limits)
+        .forEach(kind => {
+            const thresholds = limits[kind];
+            const kindPath = `${path}.${kind}`;
+            if (!errors.check(spamKinds.indexOf(kind) !== -1, kindPath, `expected one of: ${spamKinds.join(', ')}`) ||
+                !errors.check(isPlainObject(thresholds), kindPath, 'must be an object'))
+                return;
+            Object
+                .keys(thresholds)
+                .forEach(action => {
+                    if (errors.check(actions.indexOf(action) !== -1, `${kindPath}.${action}`,
+                        `unknown action, expected one of: ${actions.join(', ')}`))
+                        errors.check(isNonNegativeInteger(thresholds[action]), `${kindPath}.${action}`,
+                            'must be a number of messages, 0 to disable');
+                });
+        });
+}
+
+/**
+ * Validates the REST configuration a mailbox gets after all the overrides are merged
+ * @param errors { Errors }
+ * @param config { Object }
+ * @param path { String }
+ */
+function validateRestConfig(errors, config, path) {
+    ['user', 'password', 'protocol', 'host', 'url', 'dbQueryUri'].forEach(key => {
+        errors.check(isString(config[key]), `${path}.${key}`, 'must be a non-empty string');
+    });
+    errors.check(isPort(config.port), `${path}.port`, 'must be a port number');
+    errors.check(isPositiveInteger(config.maxQueryMessages), `${path}.maxQueryMessages`, 'must be a positive integer');
+    errors.check(isPositiveInteger(config.queryInterval), `${path}.queryInterval`, 'must be a positive number of ms');
+
+    if (errors.check(isPlainObject(config.paths), `${path}.paths`, 'must be an object')) {
+        ['Issues', 'Persons', 'Comments'].forEach(model => {
+            errors.check(isString(config.paths[model]), `${path}.paths.${model}`, 'must be a non-empty string');
+        });
+    }
+
+    if (config.idle !== undefined && errors.check(isPlainObject(config.idle), `${path}.idle`, 'must be an object')) {
+        if (config.idle.refreshInterval !== undefined)
+            errors.check(isPositiveInteger(config.idle.refreshInterval), `${path}.idle.refreshInterval`, 'must be a positive number of ms');
+    }
+
+    const onPersonNotFound = config.onPersonNotFound;
+    if (errors.check(isPlainObject(onPersonNotFound), `${path}.onPersonNotFound`, 'must be an object')) {
+        errors.check(!!onPersonNotFound.createSystemIssue !== !!onPersonNotFound.moveMsgToFailureFolder,
+            `${path}.onPersonNotFound`, 'exactly one of `createSystemIssue` and `moveMsgToFailureFolder` must be true');
+    }
+
+    const attrs = config.permittedBodyAttributes;
+    if (errors.check(isPlainObject(attrs), `${path}.permittedBodyAttributes`, 'must be an object')) {
+        Object
+            .keys(attrs)
+            .forEach(key => validateBodyAttribute(errors, attrs[key], config.paths, `${path}.permittedBodyAttributes.${key}`));
+    }
+    validateCommands(errors, config.commands, config.paths, `${path}.commands`);
+    validateClosedIssues(errors, config.closedIssues, `${path}.closedIssues`);
+    if (errors.check(isPlainObject(config.rejectedAttributesNotice), `${path}.rejectedAttributesNotice`, 'must be an object')) {
+        ['title'].concat(attributeRejections).forEach(key => {
+            errors.check(isString(config.rejectedAttributesNotice[key]), `${path}.rejectedAttributesNotice.${key}`,
+                'must be a non-empty string');
+        });
+    }
+
+    if (config.routing !== undefined)
+        validateRouting(errors, config.routing, `${path}.routing`);
+
+    if (errors.check(isPlainObject(config.subjectTags), `${path}.subjectTags`, 'must be an object')) {
+        ['brackets', 'hashtags', 'strip'].forEach(key => {
+            errors.check(typeof config.subjectTags[key] === 'boolean', `${path}.subjectTags.${key}`, 'must be true or false');
+        });
+        if (errors.check(isPlainObject(config.subjectTags.tags), `${path}.subjectTags.tags`, 'must be an object')) {
+            Object
+                .keys(config.subjectTags.tags)
+                .forEach(tag => validateIssueAttrs(errors, config.subjectTags.tags[tag], `${path}.subjectTags.tags.${tag}`));
+        }
+    }
+
+    validateIssueAttrs(errors, config.defaultIssueAttrs, `${path}.defaultIssueAttrs`);
+    if (isPlainObject(config.defaultIssueAttrs))
+        errors.check(isString(config.defaultIssueAttrs.authorId), `${path}.defaultIssueAttrs.authorId`, 'the system author is required');
+
+    validateAttachmentPolicy(errors, config.attachmentPolicy, `${path}.attachmentPolicy`);
+    validateScanner(errors, config.scanner, `${path}.scanner`);
+    validateInlineImages(errors, config.inlineImages, `${path}.inlineImages`);
+    validateDescription(errors, config.description, `${path}.description`);
+
+    if (errors.check(isPlainObject(config.replies), `${path}.replies`, 'must be an object')) {
+        ['enabled', 'signatures', 'keepForwarded'].forEach(key => {
+            errors.check(typeof config.replies[key] === 'boolean', `${path}.replies.${key}`, 'must be true or false');
+        });
+    }
+
+    if (errors.check(Array.isArray(config.commentDelimiters), `${path}.commentDelimiters`, 'must be an array')) {
+        config.commentDelimiters.forEach((delimiter, i) => {
+            errors.check(isString(delimiter) || isRe(delimiter), `${path}.commentDelimiters[${i}]`,
+                'must be a non-empty string or a regular expression');
+        });
+    }
+
+    const spam = config.spam;
+    if (errors.check(isPlainObject(spam), `${path}.spam`, 'must be an object')) {
+        errors.check(isPositiveInteger(spam.timeSpan), `${path}.spam.timeSpan`, 'must be a positive number of minutes');
+        validateSpamLimits(errors, spam.limits, `${path}.spam.limits`, spamActions);
+        // Only `reject` applies to the comments
+        validateSpamLimits(errors, spam.commentLimits, `${path}.spam.commentLimits`, ['reject']);
+        validateIssueAttrs(errors, spam.flagFields, `${path}.spam.flagFields`);
+        errors.check(isString(spam.flagNotice), `${path}.spam.flagNotice`, 'must be a non-empty string');
+        errors.check(Array.isArray(spam.ignoreDomains) && spam.ignoreDomains.every(isString), `${path}.spam.ignoreDomains`,
+            'must be an array of domains');
+        errors.check(typeof spam.dbQuery === 'boolean', `${path}.spam.dbQuery`, 'must be true or false');
+        errors.check(Array.isArray(spam.headers), `${path}.spam.headers`, 'must be an array');
+        if (errors.check(Array.isArray(spam.dontCheckAuthors), `${path}.spam.dontCheckAuthors`, 'must be an array')) {
+            spam.dontCheckAuthors.forEach((id, i) => {
+                errors.check(idRe.test(id), `${path}.spam.dontCheckAuthors[${i}]`, `'${id}' is not an id like 'PRS000000000001'`);
+            });
+        }
+    }
+}
+
+function validateNotifications(errors, server, path) {
+    const notifications = server.notifications;
+    if (!errors.check(isPlainObject(server.smtpConfig), `${path}.smtpConfig`, 'must be an object'))
+        return;
+    if (!errors.check(isPlainObject(notifications), `${path}.notifications`, 'is required along with `smtpConfig`'))
+        return;
+
+    errors.check(isString(notifications.from), `${path}.notifications.from`, 'the sender address is required');
+    if (notifications.rejections !== undefined &&
+        errors.check(Array.isArray(notifications.rejections), `${path}.notifications.rejections`, 'must be an array')) {
+        notifications.rejections.forEach((reason, i) => {
+            errors.check(rejectionReasons.indexOf(reason) !== -1, `${path}.notifications.rejections[${i}]`,
+                `unknown reason '${reason}', expected one of: ${rejectionReasons.join(', ')}`);
+        });
+    }
+}
+
+/**
+ * Validates the REST configuration merged with the override. Only the errors
+ * the base configuration does not have are reported, at the path of the override
+ */
+function validateOverride(errors, base, override, basePath, path) {
+    if (override === undefined)
+        return;
+    if (!errors.check(isPlainObject(override), path, 'must be an object'))
+        return;
+
+    const baseErrors = new Errors();
+    const mergedErrors = new Errors();
+    validateRestConfig(baseErrors, base, basePath);
+    validateRestConfig(mergedErrors, mergeConfig(base, override), basePath);
+
+    mergedErrors.list
+        .filter(error => baseErrors.list.indexOf(error) === -1)
+        .forEach(error => errors.list.push(path + error.slice(basePath.length)));
+}
+
+function validateServer(errors, server, name, restConfig) {
+    const path = `servers.${name}`;
+    if (!errors.check(isPlainObject(server), path, 'must be an object'))
+        return;
+
+    const imapConfig = server.imapConfig;
+    if (errors.check(isPlainObject(imapConfig), `${path}.imapConfig`, 'must be an object')) {
+        ['user', 'password', 'host'].forEach(key => {
+            errors.check(isString(imapConfig[key]), `${path}.imapConfig.${key}`, 'must be a non-empty string');
+        });
+        errors.check(isPort(imapConfig.port), `${path}.imapConfig.port`, 'must be a port number');
+    }
+
+    if (server.smtpConfig !== undefined)
+        validateNotifications(errors, server, path);
+
+    if (server.createMissingBoxes !== undefined)
+        errors.check(typeof server.createMissingBoxes === 'boolean', `${path}.createMissingBoxes`, 'must be true or false');
+
+    validateOverride(errors, restConfig, server.restConfig, 'restConfig', `${path}.restConfig`);
+    const serverRestConfig = mergeConfig(restConfig, server.restConfig);
+
+    const mailboxes = server.mailboxConfig;
+    if (!errors.check(isPlainObject(mailboxes) && Object.keys(mailboxes).length > 0, `${path}.mailboxConfig`,
+            'must be an object with at least one mailbox'))
+        return;
+
+    Object
+        .keys(mailboxes)
+        .forEach(boxName => {
+            const boxPath = `${path}.mailboxConfig.${boxName}`;
+            const box = mailboxes[boxName];
+            if (!errors.check(isPlainObject(box), boxPath, 'must be an object'))
+                return;
+
+            ['success', 'failure'].forEach(key => {
+                if (errors.check(isString(box[key]), `${boxPath}.${key}`, `the ${key} folder name is required`))
+                    errors.check(box[key] !== '/', `${boxPath}.${key}`, 'the absolute path must not be empty');
+            });
+            validateOverride(errors, serverRestConfig, box.restConfig, 'restConfig', `${boxPath}.restConfig`);
+        });
+}
+
+function validateLogConfig(errors, config, path) {
+    if (!errors.check(isPlainObject(config), path, 'must be an object'))
+        return;
+
+    errors.check(logLevels.indexOf(config.level) !== -1, `${path}.level`, `must be one of: ${logLevels.join(', ')}`);
+    if (errors.check(Array.isArray(config.targets) && config.targets.length > 0, `${path}.targets`, 'must be a non-empty array')) {
+        config.targets.forEach((target, i) => {
+            errors.check(logTargets.indexOf(target) !== -1, `${path}.targets[${i}]`,
+                `unknown target '${target}', expected one of: ${logTargets.join(', ')}`);
+        });
+    }
+
+    if (config.targets && config.targets.indexOf('file') !== -1 &&
+        errors.check(isPlainObject(config.file), `${path}.file`, 'must be an object')) {
+        errors.check(isString(config.file.dir), `${path}.file.dir`, 'must be a non-empty string');
+        ['maxsize', 'maxFiles'].forEach(key => {
+            if (config.file[key] !== undefined)
+                errors.check(isPositiveInteger(config.file[key]), `${path}.file.${key}`, 'must be a positive integer');
+        });
+    }
+}
+
+/**
+ * Validates the whole configuration
+ * @param config { Object } { servers, restConfig, adminConfig, logConfig }
+ * @returns { Array } The error messages, empty if the configuration is valid
+ */
+function validateConfig(config) {
+    const errors = new Errors();
+
+    if (errors.check(isPlainObject(config.restConfig), 'restConfig', 'must be an object')) {
+        validateRestConfig(errors, config.restConfig, 'restConfig');
+
+        ['ledger', 'rateLimits', 'journal'].forEach(key => {
+            const options = config.restConfig[key];
+            if (!errors.check(isPlainObject(options), `restConfig.${key}`, 'must be an object'))
+                return;
+            errors.check(isString(options.filename), `restConfig.${key}.filename`, 'must be a non-empty string');
+            errors.check(isPositiveInteger(options.retentionDays), `restConfig.${key}.retentionDays`, 'must be a positive number of days');
+        });
+
+        const ledger = config.restConfig.ledger;
+        if (isPlainObject(ledger)) {
+            ['retryDelay', 'maxRetryDelay'].forEach(key => {
+                if (ledger[key] !== undefined)
+                    errors.check(isPositiveInteger(ledger[key]), `restConfig.ledger.${key}`, 'must be a positive number of seconds');
+            });
+        }
+    }
+
+    if (errors.check(isPlainObject(config.servers) && Object.keys(config.servers).length > 0, 'servers',
+            'must be an object with at least one server')) {
+        const restConfig = isPlainObject(config.restConfig) ? config.restConfig : {};
+        Object
+            .keys(config.servers)
+            .forEach(name => validateServer(errors, config.servers[name], name, restConfig));
+    }
+
+    const adminConfig = config.adminConfig;
+    if (adminConfig !== undefined && errors.check(isPlainObject(adminConfig), 'adminConfig', 'must be an object')) {
+        if (adminConfig.port !== undefined)
+            errors.check(isPort(adminConfig.port), 'adminConfig.port', 'must be a port number');
+        if (adminConfig.host !== undefined)
+            errors.check(isString(adminConfig.host), 'adminConfig.host', 'must be a non-empty string');
+        if (adminConfig.token !== undefined)
+            errors.check(typeof adminConfig.token === 'string', 'adminConfig.token', 'must be a string');
+    }
+
+    validateLogConfig(errors, config.logConfig, 'logConfig');
+
+    return errors.list;
+}
+
+module.exports = validateConfig;
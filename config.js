@@ -1,5 +1,8 @@
 /**
  * Файл настроек приложения
+ *
+ * Настройки по умолчанию. Их можно переопределить файлом JSON или YAML
+ * (`node server --config путь`) и переменными окружения, см. README.md
  */
 
 // Настройки серверов и почтовых ящиков
@@ -14,16 +17,68 @@ const servers = {
             tls: true,
             autotls: 'always'
         },
+        // Исходящая почта для уведомлений отправителям (необязательно)
+        // Если `smtpConfig` не задан, уведомления не отправляются
+        //smtpConfig: {
+        //    host: 'smtp.example.ru',
+        //    port: 465,
+        //    secure: true,
+        //    auth: {
+        //        user: 'test@example.ru',
+        //        pass: 'password'
+        //    }
+        //},
+        //notifications: {
+        //    from: 'Служба поддержки <test@example.ru>',
+        //    // Язык шаблонов писем, см. папку `templates`
+        //    locale: 'ru',
+        //    // Подтверждение регистрации заявки с ее номером в теме письма
+        //    issueCreated: true,
+        //    // Подтверждение добавления комментария к заявке
+        //    commentAdded: true,
+        //    // Комментарий добавлен к закрытой заявке (`closedIssues.action: 'notify'`), вместо `commentAdded`
+        //    closedIssueComment: true,
+        //    // Уведомления об отказе в регистрации заявки, возможные причины:
+        //    // `unknownSender` - адрес отправителя не найден в `zPersons`,
+        //    // `spam` - сработала проверка на спам, `error` - ошибка REST-интерфейса
+        //    // Автоматически сгенерированные письма никогда не получают ответа
+        //    rejections: ['unknownSender', 'spam', 'error'],
+        //    // Не чаще одного уведомления об отказе одному отправителю за указанное число минут
+        //    rejectionInterval: 60,
+        //    // Файл, в котором хранится время последнего уведомления отправителей
+        //    noticeLog: 'data/notices.json'
+        //},
+        // Настройки REST-интерфейса этого сервера (необязательно). Указываются только
+        // отличающиеся от `restConfig` значения, вложенные объекты (`paths`, `defaultIssueAttrs`,
+        // `spam` и т.д.) объединяются с общими настройками по ключам
+        //restConfig: {
+        //    host: '192.168.102.106',
+        //    user: 'imap',
+        //    password: 'password',
+        //    defaultIssueAttrs: {
+        //        categoryId: 'CTG000000000102'
+        //    }
+        //},
+        // Создавать отсутствующие ящики `success` и `failure` при проверке ящиков.
+        // Созданные ящики записываются в журнал и выводятся в `GET /status` admin API
+        createMissingBoxes: false,
         // Конфигурация почтовых ящиков для входящих заявок и соответствующих им ящиков,
         // в которые перемещаются удачно или неудачно обработанные сообщения
         mailboxConfig: {
             // Возможно иметь несколько почтовых ящиков (названия ящиков могут быть произвольными),
             // напр: {'INBOX', 'ЗАЯВКИ', 'Service Requests'}
             // При настройке ящиков `INBOX` должен находиться в корне дерева ящиков, а
-            // ящики `Обработанные` и `Необработанные` должны быть вложены в ящик `INBOX`
+            // ящики `Обработанные` и `Необработанные` должны быть вложены в ящик `INBOX`.
+            // Путь, начинающийся с `/`, указывается от корня дерева ящиков, напр. '/Архив/Обработанные',
+            // разделитель `/` заменяется на разделитель сервера
             'INBOX': {
                 success: 'Обработанные',
                 failure: 'Необработанные'
+                // Ящик также может переопределить настройки REST-интерфейса сервера, напр.
+                //restConfig: {
+                //    paths: { Issues: 'zIssuesTest' },
+                //    joinAttachments: false
+                //}
             },
             'Drafts': {
                 success: 'Обработанные',
@@ -49,6 +104,8 @@ const servers = {
     //}
 };
 
+// Общие настройки REST-интерфейса HPSM и обработки сообщений.
+// Могут быть переопределены в `restConfig` сервера или почтового ящика, кроме `ledger`, `rateLimits` и `journal`
 const restConfig = {
     user: 'system',
     password: 'system',
@@ -60,6 +117,8 @@ const restConfig = {
         Issues: 'zIssues',
         Persons: 'zPersons',
         Comments: 'zComments'
+        // Модели для атрибутов типа `lookup`
+        //Teams: 'zTeams'
     },
 
     dbQueryUri: 'http://192.168.102.105:26485/search',
@@ -68,15 +127,29 @@ const restConfig = {
     // в любом случае все завки во всех ящиках обрабатываются в непрерывном цикле.
     // Это обеспечит равномерную обработку заявок, если ящиков несколько
     maxQueryMessages: 1,
+    // Интервал опроса ящиков в мс для серверов, которые не поддерживают IDLE
     queryInterval: 20000,
 
+    // Мгновенная обработка новых сообщений с помощью команды IDLE.
+    // Для каждого ящика открывается отдельное соединение, которое ожидает уведомлений сервера.
+    // Если сервер не поддерживает IDLE, ящики опрашиваются каждые `queryInterval` мс
+    idle: {
+        enabled: true,
+        // Интервал полной проверки всех ящиков в мс на случай пропущенных уведомлений
+        refreshInterval: 300000
+    },
+
     onPersonNotFound: {
         // Важно: Выбрать только одно из действий
         createSystemIssue: false,
         moveMsgToFailureFolder: true
     },
-    // Атрибут, разрешенные для передачи через тело сообщения
-    // Возможные значения: `date`, `id`, `string`
+    // Атрибут, разрешенные для передачи через тело сообщения, каждый на отдельной строке: `teamId: TMS000000000004`
+    // Возможные значения: `date`, `id`, `string`, `number`, `email`, `boolean` (да/нет, yes/no, true/false, 1/0)
+    // либо объект { type, field }, где `field` - поле заявки, если оно отличается от названия атрибута:
+    // `enum` - { type: 'enum', values: { 'Высокий': 1, 'Низкий': 3 } } или список допустимых значений,
+    // `lookup` - поиск id по названию через REST: { type: 'lookup', model: 'Teams', by: 'name' },
+    // модель должна быть указана в `paths`
     // Если нет значений, оставить пустой объект
     permittedBodyAttributes: {
         requiredOn: 'date',
@@ -84,6 +157,129 @@ const restConfig = {
         //serviceId: 'id',
         phaseId: 'id',
         teamId: 'id'
+        //team: { type: 'lookup', field: 'teamId', model: 'Teams', by: 'name' },
+        //priority: { type: 'enum', field: 'priorityCode', values: { 'Высокий': 1, 'Средний': 2, 'Низкий': 3 } },
+        //contactEmail: 'email'
+    },
+    // Команды в ответах на заявку, каждая на отдельной строке: `#close`, `#priority high`, `#assign TMS000000000004`.
+    // Команды изменяют заявку и удаляются из текста комментария, выполненные и отклоненные команды
+    // перечисляются в конце комментария
+    commands: {
+        enabled: false,
+        // Адреса сотрудников поддержки (роль `agent`): полный адрес или домен ('@example.ru').
+        // Роль `customer` - автор или заказчик заявки, `any` - любой отправитель
+        agents: [],
+        // Роль `agent` по адресу из `agents` дается только при успешной проверке отправителя (`methods`)
+        // в заголовке `Authentication-Results`, добавленном своим почтовым сервером (`authServIds`)
+        authentication: {
+            authServIds: [],
+            methods: ['dmarc', 'dkim', 'spf']
+        },
+        // Сотрудники поддержки (роль `agent`) по personId, найденному по адресу отправителя
+        agentPersonIds: [],
+        list: {
+            // `set` - значения полей заявки, команда без параметра
+            close: { roles: ['customer', 'agent'], set: { statusId: 'STS000000000005' } },
+            reopen: { roles: ['customer', 'agent'], set: { statusId: 'STS000000000001' } },
+            // `values` - параметр команды (без учета регистра) - значение поля `field`
+            priority: {
+                roles: ['agent'],
+                field: 'priorityId',
+                values: { high: 'PRT000000000001', medium: 'PRT000000000002', low: 'PRT000000000003' }
+            },
+            // Параметр - id либо название для поиска через REST (`lookup`, модель должна быть указана в `paths`)
+            assign: { roles: ['agent'], field: 'teamId' /*, lookup: { model: 'Teams', by: 'name' }*/ }
+        },
+        notice: {
+            done: 'Выполнены команды:',
+            title: 'Не выполнены команды:',
+            denied: 'недостаточно прав',
+            invalid: 'неверный параметр',
+            notFound: 'не найдено',
+            ambiguous: 'найдено несколько',
+            lookupError: 'ошибка поиска',
+            failed: 'ошибка изменения заявки'
+        }
+    },
+
+    // Ответы на закрытые заявки
+    closedIssues: {
+        // Статусы закрытых заявок
+        statusIds: ['STS000000000005'],
+        // `comment` - добавить комментарий как к открытой заявке,
+        // `reopen` - добавить комментарий и вернуть заявке статус `reopenStatusId`,
+        // `notify` - добавить комментарий и сообщить отправителю, что заявка закрыта (`notifications.closedIssueComment`),
+        // `newIssue` - зарегистрировать новую заявку со ссылкой на закрытую, следующие ответы добавляются к ней
+        action: 'comment',
+        reopenStatusId: 'STS000000000001',
+        // Через указанное число дней после закрытия (поле `closedOnField`) всегда регистрируется новая заявка,
+        // 0 - не ограничено
+        newIssueAfterDays: 0,
+        closedOnField: 'closedOn',
+        // Поле новой заявки, в которое записывается номер закрытой заявки (необязательно)
+        linkField: '',
+        // Строка в начале описания новой заявки
+        reference: 'Продолжение закрытой заявки {{issueId}}'
+    },
+
+    // Значения атрибутов, которые не удалось разобрать или найти, перечисляются в конце описания заявки
+    rejectedAttributesNotice: {
+        title: 'Не приняты значения полей:',
+        invalid: 'неверное значение',
+        notFound: 'не найдено',
+        ambiguous: 'найдено несколько',
+        lookupError: 'ошибка поиска'
+    },
+
+    // Правила маршрутизации: значения полей заявки в зависимости от ящика, получателя,
+    // отправителя, темы и заголовков письма. Правила проверяются по порядку.
+    // Значения полей из правил заменяют значения по умолчанию (`defaultIssueAttrs`),
+    // а поля из тела письма (`permittedBodyAttributes`) заменяют значения из правил
+    routing: {
+        // `first` - применяется первое подходящее правило,
+        // `merge` - применяются все подходящие правила, последующие заменяют предыдущие
+        mode: 'first',
+        rules: [
+            //{
+            //    name: 'network',
+            //    // Все указанные условия должны выполняться. Значением условия может быть
+            //    // строка (без учета регистра), регулярное выражение или массив из них
+            //    match: {
+            //        mailbox: 'INBOX',
+            //        // Адрес в To, Cc, Delivered-To или X-Original-To: полный адрес,
+            //        // имя ящика с `@` на конце (напр. 'support+network@') или домен ('@example.ru')
+            //        to: 'support+network@',
+            //        // Метка адреса после `+`, напр. `network` в `support+network@example.ru`
+            //        //tag: 'network',
+            //        //sender: 'noc@example.com',
+            //        senderDomain: ['example.com', 'example.org'],
+            //        subject: /авария|недоступ/i,
+            //        headers: { 'X-Priority': /^1/ }
+            //    },
+            //    set: {
+            //        categoryId: 'CTG000000000102',
+            //        priorityId: 'PRT000000000001',
+            //        teamId: 'TMS000000000004'
+            //    }
+            //}
+        ]
+    },
+
+    // Метки в теме письма: `[P1][network] Нет связи` или `Нет связи #network`.
+    // Значения полей из меток заменяют значения из правил маршрутизации,
+    // а поля из тела письма (`permittedBodyAttributes`) - значения из меток
+    subjectTags: {
+        // Метки в квадратных скобках
+        brackets: true,
+        // Метки вида `#network`
+        hashtags: true,
+        // Удалять найденные метки из названия заявки, неизвестные метки остаются
+        strip: true,
+        // Метка (без учета регистра) - значения полей заявки
+        tags: {
+            //P1: { priorityId: 'PRT000000000001' },
+            //network: { teamId: 'TMS000000000004', categoryId: 'CTG000000000102' }
+        }
     },
 
     // Значение полей заявки по умолчанию
@@ -98,10 +294,134 @@ const restConfig = {
         //phaseId: 'WPH000000000001'
     },
 
+    // Журнал обработанных сообщений: для каждого сообщения, по которому создана заявка
+    // или комментарий, хранится список выполненных шагов. Если сообщение не удалось
+    // переместить или процесс был прерван, при следующей проверке ящика выполняются
+    // только недостающие шаги, и повторная заявка не создается
+    ledger: {
+        filename: 'data/ledger.jsonl',
+        // Срок хранения записей в днях
+        retentionDays: 365,
+        // Повторные попытки завершить обработку сообщения (сохранить вложения, переместить сообщение):
+        // задержка в секундах удваивается после каждой неудачной попытки до `maxRetryDelay`
+        retryDelay: 60,
+        maxRetryDelay: 3600
+    },
+
+    // Счетчики проверки на спам (`spam`), сохраняются между перезапусками
+    rateLimits: {
+        filename: 'data/rate-limits.jsonl',
+        // Срок хранения в днях, должен быть не меньше `spam.timeSpan`
+        retentionDays: 1
+    },
+
+    // Журнал результатов обработки: отправитель, тема, результат (заявка, комментарий, спам,
+    // неизвестный отправитель, ошибка REST-интерфейса, ошибка перемещения), номера заявок,
+    // вложения и время обработки каждого сообщения. Поиск по журналу: `node journal-cli --help`
+    journal: {
+        filename: 'data/journal.jsonl',
+        // Срок хранения записей в днях
+        retentionDays: 90
+    },
+
     // Управление вложениями
     joinOriginalAsEml: true,
     joinAttachments: true,
 
+    // Какие вложения сохранять. Пропущенные файлы, кроме встроенных изображений,
+    // перечисляются в конце описания заявки или комментария
+    attachmentPolicy: {
+        // Максимальный размер одного файла и всех файлов сообщения в байтах, 0 - без ограничений
+        maxFileSize: 10 * 1024 * 1024,
+        maxMessageSize: 25 * 1024 * 1024,
+        // Расширения файлов (без точки) и MIME-типы, допускаются шаблоны вида 'video/*'.
+        // Если списки разрешенных пусты, разрешено все, что не запрещено
+        allowedExtensions: [],
+        deniedExtensions: ['exe', 'com', 'scr', 'pif', 'bat', 'cmd', 'msi', 'js', 'jse', 'vbs', 'vbe', 'wsf', 'ps1', 'jar'],
+        allowedTypes: [],
+        deniedTypes: ['application/x-msdownload', 'application/x-msdos-program', 'application/javascript'],
+        // Встроенные в текст изображения (логотипы в подписях) меньше этого размера в байтах не сохраняются
+        skipInlineImagesBelow: 20 * 1024,
+        // Текст списка пропущенных файлов
+        notice: {
+            title: 'Не сохранены вложения:',
+            type: 'недопустимый тип файла',
+            fileSize: 'превышен размер файла',
+            messageSize: 'превышен общий размер вложений',
+            inline: 'встроенное изображение',
+            infected: 'обнаружен вредоносный код'
+        }
+    },
+
+    // Антивирусная проверка вложений и исходного сообщения (.eml) до создания заявки или комментария
+    scanner: {
+        enabled: false,
+        // `clamd` - проверка через clamd (команда INSTREAM) или путь к модулю,
+        // экспортирующему функцию (options) => ({ scan(buffer, filename), scanStream(stream, filename) }), см. scanner.js.
+        // Без `scanStream` исходное сообщение передается в `scan` целиком в памяти
+        adapter: 'clamd',
+        options: {
+            // Локальный сокет clamd либо `host` и `port`
+            socket: '/var/run/clamav/clamd.ctl',
+            //host: '127.0.0.1',
+            //port: 3310,
+            // Таймаут проверки одного файла в мс
+            timeout: 30000
+        },
+        // Действие при обнаружении: `drop` - не сохранять зараженный файл, `quarantine` - переместить
+        // сообщение в папку `quarantineFolder`, `fail` - переместить сообщение в папку `failure`
+        onDetection: 'drop',
+        // Вложена в ящик, как `success` и `failure`, либо абсолютный путь вида '/Quarantine'
+        quarantineFolder: 'Quarantine',
+        // При ошибке проверки: `fail` - переместить сообщение в папку `failure`, `allow` - сохранить файлы без проверки
+        onError: 'fail'
+    },
+
+    // Встроенные в HTML-описание изображения (`<img src="cid:...">`)
+    inlineImages: {
+        // Изображения меньше этого размера в байтах встраиваются в описание как data URI
+        // и не сохраняются отдельными вложениями, 0 - не встраивать
+        dataUriBelow: 0,
+        // Ссылка на сохраненное вложение, которой заменяется `cid:` в описании.
+        // Подставляются `{{modelUri}}`, `{{id}}` и `{{attachmentId}}`, пустая строка - не заменять
+        url: '{{modelUri}}/{{id}}/attachments/{{attachmentId}}'
+    },
+
+    // Описание заявки или комментария. HTML очищается по спискам разрешенных тегов и атрибутов,
+    // в тексте экранируются спецсимволы, ссылки и адреса становятся кликабельными
+    description: {
+        // Остальные теги заменяются своим содержимым
+        allowedTags: ['html', 'body', 'p', 'br', 'div', 'span', 'font', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'sub', 'sup',
+            'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code', 'hr', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+            'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption', 'colgroup', 'col', 'a', 'img', 'center'],
+        // Теги, удаляемые вместе с содержимым
+        droppedTags: ['head', 'title', 'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+            'noscript', 'template', 'form', 'svg', 'math', 'audio', 'video', 'canvas'],
+        // Разрешенные атрибуты тегов, '*' - всех тегов. Обработчики событий (`on...`) не допускаются
+        allowedAttributes: {
+            '*': ['style', 'title', 'align', 'dir', 'lang'],
+            a: ['href', 'name'],
+            img: ['src', 'alt', 'width', 'height', 'border'],
+            font: ['color', 'face', 'size'],
+            table: ['border', 'cellpadding', 'cellspacing', 'width', 'bgcolor'],
+            td: ['colspan', 'rowspan', 'width', 'valign', 'bgcolor'],
+            th: ['colspan', 'rowspan', 'width', 'valign', 'bgcolor'],
+            ol: ['start', 'type'],
+            col: ['span', 'width'],
+            colgroup: ['span', 'width']
+        },
+        // Допустимые схемы ссылок
+        allowedSchemes: ['http', 'https', 'mailto'],
+        // Внешние изображения обычно отслеживают прочтение письма, поэтому удаляются
+        allowExternalImages: false,
+        // Максимальная длина описания в символах (без списка пропущенных вложений), 0 - без ограничений.
+        // Более длинное описание целиком сохраняется во вложении, а в описании остается начало текста
+        maxLength: 0,
+        overflowFileName: 'message.html',
+        // `{{fileName}}` - имя вложения
+        overflowNotice: 'Сообщение сокращено, полный текст во вложении {{fileName}}'
+    },
+
     // Отсечение тела сообщения после определенного набора символов
     truncateCommentsAfterDelimiter: true,
     // Здесь можно указывать как строковые константы, так и регулярные выражения
@@ -113,14 +433,51 @@ const restConfig = {
         'Best regards',
         'С уважением'
     ],
+    // Удаление цитируемой переписки из ответов (сообщений с заголовками `In-Reply-To`, `References`
+    // или с номером заявки в теме): заголовков `-----Original Message-----`, `From: ... Sent: ...`,
+    // `On ... wrote:`, `... пишет:`, цитат `<blockquote type="cite">` и строк, начинающихся с `>`, - Outlook, Gmail,
+    // Thunderbird, Apple Mail, Яндекс, Mail.ru. Выполняется вместе с `commentDelimiters`, независимо от
+    // `truncateCommentsAfterDelimiter`
+    replies: {
+        enabled: true,
+        // Удалять подписи: `-- `, `Sent from my iPhone`, подписи Gmail и Thunderbird
+        signatures: true,
+        // Не удалять переписку из пересланных сообщений (тема начинается с `Fwd:`, `FW:`, `Пересл:`)
+        keepForwarded: true
+    },
 
-    // Проверка на спам
+    // Проверка на спам: сообщения считаются в скользящем окне `timeSpan` на все ящики вместе взятые,
+    // отдельно по пользователю (`person`), адресу (`address`) и домену отправителя (`domain`).
+    // Пороги можно задать отдельно для сервера или ящика, счетчики сохраняются в `rateLimits`
     spam: {
-        // Промежуток времени в минутах, за который пользователь должен прислать
-        // не более, чем `maxNumOfIssues` сообщений на все ящики вместе взятые
-        // Пример: 30 минут
+        // Окно в минутах
         timeSpan: 30,
-        maxNumOfIssues: 5,
+        // Действия при превышении числа сообщений за `timeSpan`, 0 - действие не используется:
+        // `flag` - заявка регистрируется с полями `flagFields` и пометкой `flagNotice` в описании,
+        // `merge` - сообщение добавляется комментарием к последней заявке отправителя за `timeSpan`,
+        // `reject` - сообщение перемещается в папку ошибок.
+        // Считаются только сообщения, регистрирующие заявку. Если заявок отправителя за `timeSpan` ещё нет,
+        // при `merge` заявка регистрируется как при `flag`, следующие сообщения добавляются к ней
+        limits: {
+            person: { flag: 0, merge: 0, reject: 5 },
+            address: { flag: 0, merge: 0, reject: 5 },
+            domain: { flag: 0, merge: 0, reject: 0 }
+        },
+        // Ответы на заявки считаются отдельно, к ним применяется только `reject`
+        commentLimits: {
+            person: { reject: 30 },
+            address: { reject: 30 },
+            domain: { reject: 0 }
+        },
+        flagFields: {
+            //priorityId: 'PRT000000000003'
+        },
+        flagNotice: 'Возможный спам: {{count}} сообщений от {{sender}} за {{timeSpan}} минут',
+        // Домены общедоступных почтовых сервисов не считаются в `domain`
+        ignoreDomains: ['gmail.com', 'yandex.ru', 'ya.ru', 'mail.ru', 'bk.ru', 'inbox.ru', 'list.ru', 'rambler.ru',
+            'outlook.com', 'hotmail.com'],
+        // Дополнительно запрашивать число заявок пользователя за `timeSpan` из базы данных (`dbQueryUri`)
+        dbQuery: false,
         headers: [
             'auto-generated',
             'auto-replied',
@@ -132,7 +489,42 @@ const restConfig = {
     }
 };
 
+// HTTP API для контроля состояния и управления обработкой ящиков
+// Важно: API должен быть доступен только локально. Запросы принимаются только на адрес `host:port`
+// и не принимаются со страниц в браузере (с заголовком Origin)
+const adminConfig = {
+    enabled: true,
+    host: '127.0.0.1',
+    port: 8025,
+    // Если задан, POST-запросы должны передавать заголовок `Authorization: Bearer <token>`
+    token: ''
+};
+
+// Журнал работы в формате JSON: в каждой записи о сообщении указываются сервер, ящик, UID,
+// Message-ID, номер заявки или комментария, этап обработки и общий для всех записей `correlationId`
+const logConfig = {
+    // Уровень журнала: `error`, `info`, `debug` (также все запросы к REST-интерфейсу)
+    level: 'info',
+    // Куда писать журнал: `file`, `stdout`, `syslog`
+    targets: ['file'],
+    file: {
+        dir: 'logs',
+        // Ротация: максимальный размер файла в байтах и число хранимых файлов
+        maxsize: 10 * 1024 * 1024,
+        maxFiles: 10
+    },
+    syslog: {
+        host: 'localhost',
+        port: 514,
+        protocol: 'udp4',
+        facility: 'local0',
+        app_name: 'node-imap'
+    }
+};
+
 module.exports = {
     servers,
-    restConfig
+    restConfig,
+    adminConfig,
+    logConfig
 };
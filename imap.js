@@ -10,35 +10,94 @@ const MailParser    = require('mailparser').MailParser;
 const Imap          = require('imap');
 const logger        = require('./logger')();
 const BufferStream  = require('./buffer-stream');
-const restConfig    = require('./config').restConfig;
-const rest          = require('./rest')();
+const configLoader  = require('./config-loader');
+const mergeConfig   = require('./merge-config');
+const Rest          = require('./rest');
+const ledger        = require('./ledger')();
+const mailer        = require('./mailer');
+const router        = require('./router');
+const attachmentPolicy = require('./attachment-policy');
+const scanner       = require('./scanner');
+const sanitizer     = require('./sanitizer');
+const replyParser   = require('./reply-parser');
+const commandsParser = require('./commands');
+const rateLimiter   = require('./rate-limiter')();
+
+// `cid:<part@host>` or `<part@host>` -> `part@host`
+const normalizeCid = cid => String(cid || '').replace(/^cid:/i, '').replace(/^<|>$/g, '');
+const metrics       = require('./metrics')();
+const journal       = require('./journal')();
+
+// The journal outcomes of the rejection reasons
+const rejectionOutcomes = {
+    unknownSender: 'unknownSender',
+    spam: 'spam',
+    error: 'restError',
+    infected: 'infected',
+    scanError: 'scanError',
+    quarantined: 'quarantined'
+};
 
 class Multimap {
-    constructor (servers) {
+    constructor (servers, restConfig) {
         this.connections = [];
+        this.restConfig = restConfig;
         Object
             .keys(servers)
             .forEach(server => {
-                this.init(servers[server]);
+                this.init(servers[server], server);
             });
+
+        metrics.registry.onCollect(() => this.collectMetrics());
     }
 
-    init(server) {
+    init(server, name) {
 
         let conn = new Imap(server.imapConfig);
-        conn.config = server;
+        conn.name = name;
+        conn.log = logger.context({ server: name, host: server.imapConfig.host });
         conn.reconnect = undefined;
+        conn.reconnectAttempts = 0;
+        this.configure(conn, server);
+
+        conn.getRest = (boxName) => {
+            const boxConfig = conn.config.mailboxConfig[boxName];
+            if (!boxConfig || !boxConfig.restConfig)
+                return conn.rest;
+
+            if (!conn.boxRests[boxName])
+                conn.boxRests[boxName] = Rest(mergeConfig(conn.rest.config, boxConfig.restConfig));
+            return conn.boxRests[boxName];
+        };
+
+        // The success and failure folders are nested into the mailbox, unless the path
+        // is absolute like `/Archive/Processed`: its `/` get replaced with the server delimiter
+        conn.getTargetBoxName = (boxName, target) => {
+            const delimiter = conn.delimiter || '/';
+            if (target[0] === '/')
+                return target.slice(1).split('/').join(delimiter);
+            return `${boxName}${delimiter}${target}`;
+        };
+
+        // The REST client logging with the context of the message
+        conn.getMessageRest = (message) => conn.getRest(message.boxName).forMessage(message);
 
         conn.getSuccessBoxName = (boxName) => {
             const boxConfig = conn.config.mailboxConfig;
-            const delimiter = conn.delimiter || '';
-            return boxConfig ? `${boxName}${delimiter}${boxConfig[boxName].success}` : null;
+            return boxConfig ? conn.getTargetBoxName(boxName, boxConfig[boxName].success) : null;
         };
 
         conn.getFailureBoxName = (boxName) => {
             const boxConfig = conn.config.mailboxConfig;
-            const delimiter = conn.delimiter || '';
-            return boxConfig ? `${boxName}${delimiter}${boxConfig[boxName].failure}` : null;
+            return boxConfig ? conn.getTargetBoxName(boxName, boxConfig[boxName].failure) : null;
+        };
+
+        // The folder of the infected messages, if the scanner of the mailbox quarantines them
+        conn.getQuarantineBoxName = (boxName) => {
+            const config = conn.getRest(boxName).config.scanner;
+            return config && config.enabled && config.onDetection === 'quarantine' ?
+                conn.getTargetBoxName(boxName, config.quarantineFolder) :
+                null;
         };
 
         conn.clearInterval = function () {
@@ -48,13 +107,48 @@ class Multimap {
 
         conn.getHost = () => conn.config.imapConfig.host;
 
-        conn.once('close', (hadError) => {
+        // Identifies the account in the ledger
+        conn.getServerId = () => `${conn.config.imapConfig.user}@${conn.getHost()}`;
+
+        conn.watchers = [];
+        conn.pendingBoxes = [];
+        // The folders created by `checkBoxes`
+        conn.createdBoxes = [];
+
+        // Controlled through the admin API
+        conn.paused = false;
+        conn.pausedBoxes = [];
+
+        conn.stats = {
+            lastPassOn: null,
+            lastError: null,
+            lastErrorOn: null
+        };
+        conn.boxStats = {};
+
+        conn.getBoxStats = (boxName) => {
+            if (!conn.boxStats[boxName])
+                conn.boxStats[boxName] = { processed: 0, failed: 0, pending: 0, lastPassOn: null };
+            return conn.boxStats[boxName];
+        };
+
+        // The labels of the per-mailbox metrics
+        conn.getLabels = (boxName) => ({ server: conn.name, mailbox: boxName });
+
+        conn.setError = (err) => {
+            conn.stats.lastError = String(err);
+            conn.stats.lastErrorOn = new Date();
+        };
+
+        conn.on('close', (hadError) => {
             // This fires on any closed connection
             conn.isRunning = false;
-            logger.info(`IMAP server '${conn.getHost()}' shut down` + (hadError ? ` due to an error` : ''));
+            this.stopWatchers(conn);
+            conn.log.info(`IMAP server '${conn.getHost()}' shut down` + (hadError ? ` due to an error` : ''));
 
             const reconnect = () => {
                 if (conn.state === 'disconnected') {
+                    conn.reconnectAttempts++;
                     conn.connect();
                 } else if (conn.reconnect && ~conn.reconnect._idleTimeout) {
                     clearInterval(conn.reconnect);
@@ -69,39 +163,224 @@ class Multimap {
             }
         });
 
-        conn.once('end', () => {
-            logger.info(`Connection to '${conn.getHost()}' reset`);
+        conn.on('end', () => {
+            conn.log.info(`Connection to '${conn.getHost()}' reset`);
         });
 
-        conn.once('error', (err) => {
+        conn.on('error', (err) => {
+            conn.setError(err);
             // Note: this always fires when issuing an IMAP.end() command from under a WIN Server
             if (err.errno === 'ECONNRESET') {
                 if (conn.interval && ~conn.interval._idleTimeout) {
-                    logger.error(`'${conn.getHost()}' connection error: ${inspect(err)}`);
+                    conn.log.error(`'${conn.getHost()}' connection error: ${inspect(err)}`);
                 } else {
-                    logger.error(`Connection to '${conn.getHost()}' reset`);
+                    conn.log.error(`Connection to '${conn.getHost()}' reset`);
                 }
             } else {
-                logger.error(`'${conn.getHost()}' i-connection error: ${inspect(err)}`);
+                conn.log.error(`'${conn.getHost()}' i-connection error: ${inspect(err)}`);
             }
         });
 
-        conn.once('ready', () => {
-            logger.info(`Established connection to IMAP server '${conn.getHost()}'`);
+        // Ready fires again after every reconnect, so the IDLE watchers get restarted as well
+        conn.on('ready', () => {
+            conn.log.info(`Established connection to IMAP server '${conn.getHost()}'`);
+            conn.reconnectAttempts = 0;
+            if (conn.retired) {
+                conn.end();
+                return;
+            }
             if (!conn.interval || !~conn.interval._idleTimeout) {
                 this.processMailboxes(conn)();
             }
-            conn.interval = setInterval(this.processMailboxes(conn), restConfig.queryInterval);
+            this.schedule(conn);
         });
 
         this.connections.push(conn);
+        return conn;
+    }
+
+    /**
+     * Applies the server configuration to the connection. The REST clients and the mailer
+     * are made anew, so the next pass uses the new settings
+     * @param conn
+     * @param server The server configuration
+     */
+    configure(conn, server) {
+        conn.config = server;
+        conn.mailer = mailer(server);
+        // Every server may override the REST settings, every mailbox may override the server ones
+        conn.rest = Rest(mergeConfig(this.restConfig, server.restConfig));
+        conn.boxRests = {};
+    }
+
+    /**
+     * Starts the IDLE watchers if the server supports them and the periodic passes
+     * @param conn The connection in the `ready` state
+     */
+    schedule(conn) {
+        if (this.canIdle(conn)) {
+            conn.log.info(`IMAP server '${conn.getHost()}' supports IDLE, watching mailboxes for new mail`);
+            this.startWatchers(conn);
+        } else {
+            this.stopWatchers(conn);
+            conn.log.info(`IMAP server '${conn.getHost()}' does not support IDLE, polling every ${conn.rest.config.queryInterval} ms`);
+        }
+        this.resetInterval(conn);
+    }
+
+    /**
+     * Restarts the periodic passes, with the IDLE watchers they only refresh the mailboxes every `idle.refreshInterval`
+     * @param conn
+     */
+    resetInterval(conn) {
+        const config = conn.rest.config;
+        const interval = conn.isWatching ? config.idle.refreshInterval || config.queryInterval : config.queryInterval;
+        conn.clearInterval();
+        conn.interval = setInterval(this.processMailboxes(conn), interval);
+    }
+
+    /**
+     * Checks whether the mailboxes of the connection can be watched with IDLE
+     * @param conn The connection in the `ready` state
+     * @returns { Boolean }
+     */
+    canIdle(conn) {
+        const idle = conn.rest.config.idle;
+        return !!(idle && idle.enabled && conn.serverSupports('IDLE'));
+    }
+
+    /**
+     * Opens a separate IDLE session for every configured mailbox of the connection.
+     * The `imap` module does not implement NOTIFY and a session can only IDLE on the selected
+     * mailbox, so the watchers never process anything themselves: they only request a pass
+     * for their mailbox on the main connection as soon as the server reports new mail
+     * @param conn The main connection
+     */
+    startWatchers(conn) {
+        this.stopWatchers(conn);
+        conn.isWatching = true;
+
+        conn.watchers = Object
+            .keys(conn.config.mailboxConfig)
+            .map(boxName => this.startWatcher(conn, boxName));
+    }
+
+    /**
+     * Opens the IDLE session of the mailbox, see `startWatchers`
+     * @param conn The main connection
+     * @param boxName The configured mailbox
+     * @returns The watcher connection
+     */
+    startWatcher(conn, boxName) {
+        const watcher = new Imap(conn.config.imapConfig);
+        watcher.boxName = boxName;
+
+        watcher.on('ready', () => {
+            watcher.openBox(boxName, true, (err) => {
+                if (err) {
+                    conn.log.error(`IDLE watcher for '${boxName}' on '${conn.getHost()}' failed to open the box: ${err}`);
+                    return;
+                }
+                conn.log.info(`IDLE watcher for '${boxName}' on '${conn.getHost()}' started`);
+                // Catch up on the mail that arrived while the watcher was connecting
+                this.requestPass(conn, boxName);
+            });
+        });
+
+        watcher.on('mail', (numNewMsgs) => {
+            conn.log.info(`IDLE: ${numNewMsgs} new message(s) in '${boxName}' on '${conn.getHost()}'`);
+            this.requestPass(conn, boxName);
+        });
+
+        watcher.on('error', (err) => {
+            conn.log.error(`IDLE watcher for '${boxName}' on '${conn.getHost()}' error: ${inspect(err)}`);
+        });
+
+        watcher.on('close', () => {
+            // The watchers replaced by `startWatchers` or removed by `updateWatchers` are not reconnected
+            if (conn.isWatching && conn.watchers.indexOf(watcher) !== -1) {
+                conn.log.info(`IDLE watcher for '${boxName}' on '${conn.getHost()}' closed, reconnecting`);
+                setTimeout(() => {
+                    if (conn.isWatching && watcher.state === 'disconnected')
+                        watcher.connect();
+                }, 10000);
+            }
+        });
+
+        watcher.connect();
+        return watcher;
+    }
+
+    /**
+     * Starts the watchers of the added mailboxes and stops the ones of the removed mailboxes,
+     * the watchers of the other mailboxes keep their sessions
+     * @param conn The main connection
+     * @param added { Array } The names of the mailboxes
+     * @param removed { Array } The names of the mailboxes
+     */
+    updateWatchers(conn, added, removed) {
+        const stopped = conn.watchers.filter(watcher => removed.indexOf(watcher.boxName) !== -1);
+
+        conn.watchers = conn.watchers
+            .filter(watcher => stopped.indexOf(watcher) === -1)
+            .concat(added.map(boxName => this.startWatcher(conn, boxName)));
+
+        stopped.forEach(watcher => {
+            conn.log.info(`IDLE watcher for '${watcher.boxName}' on '${conn.getHost()}' stopped`);
+            if (watcher.state !== 'disconnected')
+                watcher.end();
+        });
+    }
+
+    stopWatchers(conn) {
+        conn.isWatching = false;
+        conn.watchers.forEach(watcher => {
+            if (watcher.state !== 'disconnected')
+                watcher.end();
+        });
+    }
+
+    /**
+     * Schedules processing of a mailbox on the main connection. When a pass is
+     * already running, the mailbox is processed right after it completes.
+     * The paused mailboxes stay queued until they are resumed
+     * @param conn The main connection
+     * @param boxName The mailbox reported by the server, all mailboxes if omitted
+     */
+    requestPass(conn, boxName) {
+        const boxNames = boxName ? [boxName] : Object.keys(conn.config.mailboxConfig);
+        boxNames.forEach(name => {
+            if (conn.pendingBoxes.indexOf(name) === -1)
+                conn.pendingBoxes.push(name);
+        });
+
+        if (!conn.isRunning) {
+            const boxes = this.takePendingBoxes(conn);
+            if (boxes.length)
+                this.processMailboxes(conn, boxes)();
+        }
+    }
+
+    /**
+     * Removes the queued mailboxes which are not paused from the queue
+     * @param conn
+     * @returns { Array } The mailboxes to process
+     */
+    takePendingBoxes(conn) {
+        if (conn.paused)
+            return [];
+
+        const boxes = conn.pendingBoxes.filter(boxName => conn.pausedBoxes.indexOf(boxName) === -1);
+        conn.pendingBoxes = conn.pendingBoxes.filter(boxName => boxes.indexOf(boxName) === -1);
+        return boxes;
     }
 
     disconnect(conn) {
         conn.clearInterval();
+        this.stopWatchers(conn);
         if (conn.state !== 'disconnected') {
             conn.isRunning = false;
-            logger.info(`Disconnect for '${conn.getHost()}' requested`);
+            conn.log.info(`Disconnect for '${conn.getHost()}' requested`);
             conn.end();
         }
     }
@@ -114,11 +393,311 @@ class Multimap {
         });
     }
 
+    /**
+     * Finds the connection by the server name in config.js
+     * @param name { String }
+     * @returns The connection or undefined
+     */
+    findConnection(name) {
+        return this.connections.filter(conn => conn.name === name && !conn.retired)[0];
+    }
+
+    /**
+     * Reads the configuration again and applies it to the running connections:
+     * the new servers get connected, the removed ones get disconnected, the servers with
+     * a changed `imapConfig` get reconnected. The other servers keep their sessions,
+     * their REST, spam, parsing and mailbox settings apply to the next pass.
+     * The ledger and the admin API settings require a restart
+     * @returns { Object } The names of the servers { added, removed, reconnected, updated }
+     * @throws { Error } If the configuration is invalid, the running one is kept then
+     */
+    reload() {
+        const config = configLoader.reload();
+        const servers = config.servers;
+        const result = { added: [], removed: [], reconnected: [], updated: [] };
+        const current = this.connections.filter(conn => !conn.retired);
+
+        this.restConfig = config.restConfig;
+
+        current.forEach(conn => {
+            const server = servers[conn.name];
+            if (!server) {
+                result.removed.push(conn.name);
+                this.retire(conn);
+            } else if (JSON.stringify(server.imapConfig) !== JSON.stringify(conn.config.imapConfig)) {
+                result.reconnected.push(conn.name);
+                this.retire(conn);
+
+                const next = this.init(server, conn.name);
+                next.paused = conn.paused;
+                next.pausedBoxes = conn.pausedBoxes.filter(boxName => !!server.mailboxConfig[boxName]);
+                next.connect();
+            } else {
+                result.updated.push(conn.name);
+                this.update(conn, server);
+            }
+        });
+
+        Object
+            .keys(servers)
+            .filter(name => !current.some(conn => conn.name === name))
+            .forEach(name => {
+                result.added.push(name);
+                this.init(servers[name], name).connect();
+            });
+
+        logger.info(`Configuration reloaded: ${JSON.stringify(result)}`);
+        return result;
+    }
+
+    /**
+     * Applies the new configuration of the server to the running connection. Only the watchers of the added
+     * and the removed mailboxes are started and stopped, the periodic passes are restarted if their settings changed.
+     * The added mailboxes are processed right away, their folders are checked by the pass
+     * @param conn
+     * @param server The server configuration
+     */
+    update(conn, server) {
+        const boxNames = Object.keys(server.mailboxConfig);
+        const oldBoxNames = Object.keys(conn.config.mailboxConfig);
+        const configured = boxName => boxNames.indexOf(boxName) !== -1;
+        const added = boxNames.filter(boxName => oldBoxNames.indexOf(boxName) === -1);
+        const removed = oldBoxNames.filter(boxName => !configured(boxName));
+        const old = conn.rest.config;
+
+        this.configure(conn, server);
+        conn.pausedBoxes = conn.pausedBoxes.filter(configured);
+        conn.pendingBoxes = conn.pendingBoxes.filter(configured);
+
+        if (conn.state === 'authenticated') {
+            const config = conn.rest.config;
+            if (this.canIdle(conn) !== conn.isWatching) {
+                this.schedule(conn);
+            } else {
+                if (conn.isWatching)
+                    this.updateWatchers(conn, added, removed);
+                if (config.queryInterval !== old.queryInterval || JSON.stringify(config.idle) !== JSON.stringify(old.idle))
+                    this.resetInterval(conn);
+            }
+        }
+
+        added.forEach(boxName => this.requestPass(conn, boxName));
+    }
+
+    /**
+     * Disconnects the server removed from the configuration or replaced with a new connection.
+     * The pass in progress is finished first
+     * @param conn
+     */
+    retire(conn) {
+        conn.retired = true;
+        conn.pendingBoxes = [];
+        conn.clearInterval();
+        if (conn.reconnect) {
+            clearInterval(conn.reconnect);
+            conn.reconnect = undefined;
+        }
+        this.stopWatchers(conn);
+
+        this.whenIdle(conn).then(() => {
+            this.connections = this.connections.filter(item => item !== conn);
+            this.disconnect(conn);
+            conn.log.info(`Connection to '${conn.getHost()}' of the server '${conn.name}' retired`);
+        });
+    }
+
+    /**
+     * Waits for the pass in progress to finish
+     * @param conn
+     * @returns { Promise }
+     */
+    whenIdle(conn) {
+        return new Promise(resolve => {
+            const check = () => {
+                if (conn.isRunning)
+                    setTimeout(check, 500);
+                else
+                    resolve();
+            };
+            check();
+        });
+    }
+
+    /**
+     * Runs the messages of the failure folder of the mailbox through the processing again, e.g. after
+     * the missing person was registered or the REST service is back. The pass in progress is finished first
+     * and the next one waits for the reprocessing. The processed messages are moved to the success folder,
+     * the ones failing again stay in the failure folder and their senders are not notified twice
+     * @param conn
+     * @param boxName The configured mailbox
+     * @param filter { Object } Any of { uids, from, since, until, reason }: `uids` is an array,
+     * `from` is a part of the sender, `since` and `until` are the days of the internal date of the messages,
+     * `until` is exclusive, `reason` is the journal outcome of the last failure
+     * @param dryRun { Boolean } Only list the selected messages, the folder is opened read-only
+     * @returns { Promise } Resolved with { server, mailbox, folder, dryRun, selected, messages },
+     * all the selected messages are processed, `maxQueryMessages` at a time
+     */
+    reprocess(conn, boxName, filter, dryRun) {
+        const folder = conn.getFailureBoxName(boxName);
+        const maxQueryMessages = conn.getRest(boxName).config.maxQueryMessages;
+        const criteria = [filter.uids ? ['UID', filter.uids.join(',')] : 'ALL']
+            .concat(filter.from ? [['FROM', filter.from]] : [])
+            .concat(filter.since ? [['SINCE', filter.since]] : [])
+            .concat(filter.until ? [['BEFORE', filter.until]] : []);
+
+        if (conn.state !== 'authenticated')
+            return Promise.reject(new Error(`The server '${conn.name}' is not connected`));
+
+        const select = () => new Promise((resolve, reject) => {
+            conn.openBox(folder, !!dryRun, (err, box) => {
+                if (err) {
+                    reject(new Error(`Error opening the box '${folder}': ${err.message}`));
+                    return;
+                }
+
+                conn.search(criteria, (err, uids) => {
+                    if (err) {
+                        reject(new Error(`Error searching the box '${folder}': ${err.message}`));
+                        return;
+                    }
+                    resolve(uids.length ? this.fetchMessages(conn, boxName, box, uids, dryRun) : []);
+                });
+            });
+        });
+
+        const report = message => {
+            const record = ledger.find(message) || {};
+            return {
+                uid: message.uid,
+                from: message.header.from && message.header.from[0],
+                subject: message.header.subject && message.header.subject[0],
+                date: message.header.date && message.header.date[0],
+                reason: message.failure && message.failure.outcome,
+                outcome: message.outcome,
+                issueId: record.issueId,
+                commentId: record.commentId
+            };
+        };
+
+        return this
+            .whenIdle(conn)
+            .then(() => {
+                // Even a dry run keeps the passes from selecting another box meanwhile
+                conn.isRunning = true;
+                conn.log.info(`Reprocessing '${folder}'${dryRun ? ' (dry run)' : ''}: ${inspect(criteria)}`);
+                return select();
+            })
+            .then(messages => {
+                const latest = journal.getLatestByMessageId();
+                const selected = messages
+                    .map(message => {
+                        message.failure = latest.get(ledger.getMessageId(message));
+                        message.log.set({ reprocessedFrom: folder });
+                        return message;
+                    })
+                    .filter(message => !filter.reason || (message.failure && message.failure.outcome === filter.reason));
+                const batches = [];
+                for (let i = 0; !dryRun && i < selected.length; i += maxQueryMessages)
+                    batches.push(selected.slice(i, i + maxQueryMessages));
+
+                return batches
+                    .reduce((promise, batch) => promise.then(() => {
+                        return Promise.all(batch.map(message => this.processMessage(conn, boxName, message).catch(() => null)));
+                    }), Promise.resolve())
+                    .then(() => ({
+                        server: conn.name,
+                        mailbox: boxName,
+                        folder,
+                        dryRun: !!dryRun,
+                        selected: selected.length,
+                        messages: selected.map(report)
+                    }));
+            })
+            .finally(() => {
+                conn.isRunning = false;
+                this.processPendingBoxes(conn);
+            });
+    }
+
+    /**
+     * Updates the connection gauges before the metrics are rendered
+     */
+    collectMetrics() {
+        this.connections.forEach(conn => {
+            const labels = { server: conn.name };
+            metrics.connectionUp.set(labels, conn.state === 'authenticated' ? 1 : 0);
+            metrics.connectionRunning.set(labels, conn.isRunning ? 1 : 0);
+            metrics.reconnectAttempts.set(labels, conn.reconnectAttempts);
+        });
+    }
+
+    /**
+     * Reports the state of every connection and its mailboxes
+     * @returns { Array }
+     */
+    getStatus() {
+        return this.connections.map(conn => {
+            return {
+                name: conn.name,
+                host: conn.getHost(),
+                state: conn.state,
+                isRunning: !!conn.isRunning,
+                paused: conn.paused,
+                idle: !!conn.isWatching,
+                pendingReconnect: !!(conn.reconnect && ~conn.reconnect._idleTimeout),
+                lastPassOn: conn.stats.lastPassOn,
+                lastError: conn.stats.lastError,
+                lastErrorOn: conn.stats.lastErrorOn,
+                createdBoxes: conn.createdBoxes,
+                mailboxes: Object
+                    .keys(conn.config.mailboxConfig)
+                    .reduce((all, boxName) => {
+                        all[boxName] = Object.assign({
+                            paused: conn.pausedBoxes.indexOf(boxName) !== -1
+                        }, conn.getBoxStats(boxName));
+                        return all;
+                    }, {})
+            };
+        });
+    }
+
+    /**
+     * Pauses processing of the server or of one of its mailboxes.
+     * The message being processed is finished anyway
+     * @param conn
+     * @param boxName { String } Optional
+     */
+    pause(conn, boxName) {
+        if (!boxName) {
+            conn.paused = true;
+        } else if (conn.pausedBoxes.indexOf(boxName) === -1) {
+            conn.pausedBoxes.push(boxName);
+        }
+        conn.log.info(`Paused '${boxName || conn.name}' on '${conn.getHost()}'`);
+    }
+
+    /**
+     * Resumes processing of the server or of one of its mailboxes
+     * and processes the messages received meanwhile
+     * @param conn
+     * @param boxName { String } Optional
+     */
+    resume(conn, boxName) {
+        if (!boxName) {
+            conn.paused = false;
+        } else if (conn.pausedBoxes.indexOf(boxName) !== -1) {
+            conn.pausedBoxes.splice(conn.pausedBoxes.indexOf(boxName), 1);
+        }
+        conn.log.info(`Resumed '${boxName || conn.name}' on '${conn.getHost()}'`);
+        this.requestPass(conn, boxName);
+    }
+
     stop() {
         let interval;
         const getRunning = () => {
             return this.connections.reduce((all, conn) => {
-                return all.concat(conn.state !== 'disconnected' || conn.isRunning ? conn : []);
+                const watching = conn.watchers.some(watcher => watcher.state !== 'disconnected');
+                return all.concat(conn.state !== 'disconnected' || conn.isRunning || watching ? conn : []);
             }, []);
         };
         const stop = (resolve, reject) => () => {
@@ -141,7 +720,13 @@ class Multimap {
         });
     }
 
-    processMailboxes(conn) {
+    /**
+     * Makes a function processing the mailboxes of the connection one by one
+     * @param conn The connection
+     * @param only { Array } Optional names of the mailboxes to process, defaults to all configured boxes
+     * @returns { Function }
+     */
+    processMailboxes(conn, only) {
         return () => {
             //console.log(`${conn.getHost()} connection state: ${conn.state}`);
 
@@ -150,93 +735,166 @@ class Multimap {
                 return;
             }
 
-            if (conn.isRunning) return;
+            if (conn.isRunning || conn.paused) return;
 
             conn.isRunning = true;
             this.checkBoxes(conn)
                 .then(boxes => {
-                    logger.info(`Finished checking the mailbox configuration for '${conn.getHost()}'`);
+                    conn.log.info(`Finished checking the mailbox configuration for '${conn.getHost()}'`);
                     boxes
+                        .filter(boxName => !only || only.indexOf(boxName) !== -1)
+                        .filter(boxName => conn.pausedBoxes.indexOf(boxName) === -1)
                         .reduce((promise, boxName) => {
                             return promise.then(() => {
+                                // The mailbox could be removed by reloading the configuration during the pass
+                                if (!conn.config.mailboxConfig[boxName])
+                                    return;
+
                                 return this.processBox(conn, boxName)
-                                    .then(boxName => null)
+                                    .then(boxName => {
+                                        conn.getBoxStats(boxName).lastPassOn = new Date();
+                                    })
                                     .catch(boxName => null);
                             });
                         }, Promise.resolve())
                         .then(() => {
-                            logger.info(`Done for all mailboxes of ${conn.getHost()}, going to IDLE state...`);
+                            conn.log.info(`Done for all mailboxes of ${conn.getHost()}, going to IDLE state...`);
                             //console.log('Going to IDLE state...');
+                            conn.stats.lastPassOn = new Date();
                             conn.isRunning = false;
+                            this.processPendingBoxes(conn);
                         })
                         .catch(error => {
-                            logger.error(error);
+                            conn.log.error(error);
+                            conn.setError(error);
                             conn.isRunning = false;
+                            this.processPendingBoxes(conn);
                         });
                 })
                 .catch(boxes => {
-                    logger.error('The configured mailboxes could not be found: %s', boxes);
+                    conn.log.error(`The configured mailboxes could not be found: ${boxes}`);
                     //logger.error('Please check the server configuration');
+                    conn.setError(`The configured mailboxes could not be found: ${boxes}`);
+                    conn.isRunning = false;
                 });
         };
     }
 
+    /**
+     * Starts another pass for the mailboxes reported by the IDLE watchers
+     * or left with unprocessed messages during the previous pass
+     * @param conn The connection
+     */
+    processPendingBoxes(conn) {
+        if (conn.state === 'disconnected')
+            return;
+
+        const boxes = this.takePendingBoxes(conn);
+        if (boxes.length)
+            setImmediate(this.processMailboxes(conn, boxes));
+    }
+
+    /**
+     * Lists the full names of the mailboxes in the tree returned by `getBoxes`
+     * @param boxes { Object } The tree
+     * @param parent { String } The full name of the parent
+     * @returns { Array }
+     */
+    flattenBoxes(boxes, parent) {
+        return Object
+            .keys(boxes || {})
+            .reduce((all, name) => {
+                const box = boxes[name];
+                const fullName = parent ? `${parent}${box.delimiter}${name}` : name;
+                return all.concat(fullName, this.flattenBoxes(box.children, fullName));
+            }, []);
+    }
+
+    /**
+     * Creates and subscribes the mailboxes one by one
+     * @param conn
+     * @param boxNames { Array } The full names
+     * @returns { Promise } Rejected if a mailbox could not be created
+     */
+    createBoxes(conn, boxNames) {
+        return boxNames.reduce((promise, boxName) => {
+            return promise.then(() => new Promise((resolve, reject) => {
+                conn.addBox(boxName, err => {
+                    if (err) {
+                        conn.log.error(`Error creating mailbox '${boxName}' on '${conn.getHost()}': ${err}`);
+                        reject(boxName);
+                        return;
+                    }
+
+                    conn.createdBoxes.push(boxName);
+                    conn.subscribeBox(boxName, err => {
+                        if (err)
+                            conn.log.error(`Error subscribing mailbox '${boxName}' on '${conn.getHost()}': ${err}`);
+                        conn.log.info(`Created mailbox '${boxName}' on '${conn.getHost()}'` + (err ? '' : ' and subscribed it'));
+                        resolve(boxName);
+                    });
+                });
+            }));
+        }, Promise.resolve());
+    }
+
+    /**
+     * Checks that the success and failure folders of every configured mailbox exist.
+     * The missing ones are created if the server has `createMissingBoxes` enabled,
+     * otherwise the mailbox is not processed
+     * @param conn
+     * @returns { Promise } Resolved with the names of the mailboxes to process,
+     * rejected with the names of the failed ones if there are no such
+     */
     checkBoxes(conn) {
 
-        logger.info(`Started checking mailboxes configuration for ${conn.getHost()}`);
-        return new Promise((resolve, reject) => {
+        conn.log.info(`Started checking mailboxes configuration for ${conn.getHost()}`);
+        const config = conn.config.mailboxConfig;
+        const createMissing = !!conn.config.createMissingBoxes;
+        const success = [];
+        const failure = [];
 
+        return new Promise((resolve, reject) => {
             conn.getBoxes('', (err, boxes) => {
                 if (err) {
-                    logger.error('Error checking mailboxes: ' + err);
+                    conn.log.error('Error checking mailboxes: ' + err);
                     reject(err);
+                    return;
                 }
-
-                let success = [];
-                let failure = [];
-                let checked = true;
-                const logCheckResult = (boxName, result) => {
-                    if (!result)
-                        logger.error(`Checking mailbox '${boxName}': failed to open`);
-
-                    checked = !result && checked ? false : checked;
-                };
-                const config = conn.config.mailboxConfig;
-
-                Object
-                    .keys(config)
-                    .forEach(name => {
-                        if (name in boxes) {
-                            logCheckResult(name, true);
-                            // Проверка вложенных ящиков
-                            const children = boxes[name].children;
-                            const delimiter = conn.delimiter || '/';
-                            let box = config[name].success;
-                            let tmpBoxName = `${name}${delimiter}${box}`;
-                            logCheckResult(tmpBoxName, children && box in children);
-
-                            box = config[name].failure;
-                            tmpBoxName = `${name}${delimiter}${box}`;
-                            logCheckResult(tmpBoxName, children && box in children);
-                        } else {
-                            logCheckResult(name, true);
+                resolve(this.flattenBoxes(boxes));
+            });
+        })
+        .then(existing => {
+            return Object
+                .keys(config)
+                .reduce((promise, name) => {
+                    return promise.then(() => {
+                        const missing = [conn.getSuccessBoxName(name), conn.getFailureBoxName(name), conn.getQuarantineBoxName(name)]
+                            .filter((boxName, i, all) => boxName && existing.indexOf(boxName) === -1 && all.indexOf(boxName) === i);
+
+                        if (!missing.length) {
+                            success.push(name);
+                            return;
                         }
 
-                        if (checked)
-                            success.push(name);
-                        else
+                        if (!createMissing) {
+                            missing.forEach(boxName => conn.log.error(`Checking mailbox '${boxName}': failed to open`));
                             failure.push(name);
-                        // Reset the logic var
-                        checked = true;
-                    });
+                            return;
+                        }
 
-                if (success.length) {
-                    resolve(success);
-                } else {
-                    reject(failure);
-                }
-            });
-        });
+                        return this
+                            .createBoxes(conn, missing)
+                            .then(() => {
+                                existing.push.apply(existing, missing);
+                                success.push(name);
+                            }, () => {
+                                failure.push(name);
+                            });
+                    });
+                }, Promise.resolve());
+        })
+        .then(() => success.length ? success : Promise.reject(failure));
     }
 
     findAttachmentParts(struct) {
@@ -277,12 +935,20 @@ class Multimap {
 
             return new Promise((resolve, reject) => {
                 const uid = message.uid;
+                // A reprocessed message failing again stays in the failure folder
+                if (message.location.mailbox === boxName) {
+                    message.log.info(`Message id: ${uid} stays in ${boxName}`, { stage: 'move' });
+                    resolve(uid);
+                    return;
+                }
+
                 conn.move(uid, boxName, err => {
                     if (err) {
-                        logger.error(`Error moving the message id: ${uid} to ${boxName}`);
+                        message.log.error(`Error moving the message id: ${uid} to ${boxName}`, { stage: 'move' });
+                        metrics.moveFailures.inc(conn.getLabels(message.boxName));
                         reject(uid);
                     } else {
-                        logger.info(`Message id: ${uid} successfully moved to ${boxName}`);
+                        message.log.info(`Message id: ${uid} successfully moved to ${boxName}`, { stage: 'move' });
                         resolve(uid);
                     }
                 });
@@ -290,12 +956,56 @@ class Multimap {
         };
     }
 
+    /**
+     * Makes a function moving a message to `boxName.failure`, or to the quarantine folder
+     * for the reason `quarantined`, and sending the rejection notice to its sender,
+     * if the server has the outgoing mail configured
+     * @param conn
+     * @param boxName
+     * @returns { Function } (message, reason) => Promise, the result of the move
+     */
+    rejectMessageFn(conn, boxName) {
+        const failureBoxName = conn.getFailureBoxName(boxName);
+        const moveMessageOnFailure = this.moveMessageFn(conn, failureBoxName);
+        const moveMessageToQuarantine = this.moveMessageFn(conn, conn.getQuarantineBoxName(boxName));
+        const spam = conn.getRest(boxName).config.spam;
+
+        return (message, reason) => {
+            const notify = () => {
+                // The sender of a reprocessed message has been notified already
+                if (!conn.mailer || message.location.mailbox === failureBoxName)
+                    return Promise.resolve();
+
+                // The limit exceeded by the sender, see `checkSpam`
+                const vars = {
+                    timeSpan: spam.timeSpan,
+                    maxNumOfIssues: message.spam && message.spam.limit
+                };
+                return conn.mailer
+                    .sendRejection(message, reason, vars)
+                    .catch(() => Promise.resolve());
+            };
+
+            message.log.info(`Msg uid: ${message.uid} rejected, reason: ${reason}`, { stage: 'reject' });
+            conn.getBoxStats(boxName).failed++;
+            metrics.messagesRejected.inc(Object.assign(conn.getLabels(boxName), { reason }));
+
+            const moved = reason === 'quarantined' ? moveMessageToQuarantine(message) : moveMessageOnFailure(message);
+            moved.then(
+                () => this.journalMessage(conn, message, rejectionOutcomes[reason]),
+                () => this.journalMessage(conn, message, 'moveError', { reason })
+            );
+            return moved.finally(notify);
+        };
+    }
+
     saveEmlAsAttachment(conn, message, issueId) {
         const messageUid = message.uid;
         const filename = messageUid + '-message.eml';
+        const rest = conn.getMessageRest(message);
         const joinOriginalAsEml = rest.config.joinOriginalAsEml;
 
-        if (!joinOriginalAsEml) {
+        if (!joinOriginalAsEml || message.emlInfected) {
             return Promise.resolve();
         }
 
@@ -307,7 +1017,7 @@ class Multimap {
                 const writeStream = rest.getIssueAttachmentStream(promise, issueId, messageUid, filename, 'message/rfc822');
 
                 writeStream.on('error', (error) => {
-                    logger.error(error);
+                    message.log.error(error, { stage: 'attachments' });
                     resolve(issueId);
                 });
 
@@ -316,17 +1026,18 @@ class Multimap {
                 });
             });
             f.once('error', (err) => {
-                logger.error(`Message uid:${messageUid} fetch error: ` + err);
+                message.log.error(`Message uid:${messageUid} fetch error: ` + err, { stage: 'attachments' });
                 // resolve despite the error
                 resolve(issueId);
             });
             f.once('end', () => {
-                logger.info('Done fetching message uid: %s', messageUid);
+                message.log.info(`Done fetching message uid: ${messageUid}`, { stage: 'attachments' });
             });
         });
     }
 
     saveMessageAttachments(conn, message, obj) {
+        const rest = conn.getMessageRest(message);
         const joinAttachments = rest.config.joinAttachments;
 
         const saveOneAttachment = (uid) => (attachment) => {
@@ -336,10 +1047,36 @@ class Multimap {
                 const encoding = attachment.transferEncoding;
                 const contentType = attachment.contentType;
                 const size = attachment.length;
-                const promise = { resolve, reject };
                 const id = obj.id;
+                const labels = conn.getLabels(message.boxName);
+                // The issue attachments resolve with the issueId on success and with the error otherwise.
+                // A failed upload both emits `error` on the stream and calls back, the result is counted once
+                let counted = false;
+                const done = saved => {
+                    if (counted)
+                        return;
+                    counted = true;
+                    (saved ? metrics.attachmentsSaved : metrics.attachmentsFailed).inc(labels);
+                    message.attachmentResults.push({ filename, size, saved });
+                };
+                const promise = {
+                    resolve: result => {
+                        done(result === id);
+                        resolve(result);
+                    },
+                    reject: err => {
+                        done(false);
+                        reject(err);
+                    },
+                    // The ids of the saved images the body refers to, see `linkInlineImages`
+                    saved: attachmentId => {
+                        const cid = normalizeCid(attachment.contentId);
+                        if (cid && attachmentId)
+                            message.imageIds[cid] = attachmentId;
+                    }
+                };
 
-                logger.info(`Saving attachment '${filename}', size: ${size} bytes for msg uid: ${uid}`);
+                message.log.info(`Saving attachment '${filename}', size: ${size} bytes for msg uid: ${uid}`, { stage: 'attachments' });
 
                 const readStream = new BufferStream(attachment.content);
                 const writeStream = obj.type === 'ZIssue' ?
@@ -347,7 +1084,8 @@ class Multimap {
                     rest.getCommentAttachmentStream(promise, id, uid, filename, contentType);
 
                 writeStream.on('error', (error) => {
-                    logger.error(`Error saving attachment for msg uid: ${uid} -> ${error}`);
+                    message.log.error(`Error saving attachment for msg uid: ${uid} -> ${error}`, { stage: 'attachments' });
+                    done(false);
                     // Важно: даже при ошибке сохранения вложенных файлов всегда вызываем Resolve
                     resolve(message);
                 });
@@ -389,75 +1127,152 @@ class Multimap {
     }
 
     /**
-     * Finds & parses permitted attributes in the message body
+     * Finds & parses permitted attributes in the message body, one per line like `team: Network`.
+     * The values which do not parse go to `message.rejectedAttributes`, the lookups to `message.lookupAttributes`
      * @param message
+     * @param config The REST configuration of the mailbox
+     * @param isHtml { Boolean }
      * @returns Object having { fieldName: parsedValue }
      */
-    parsePermittedAttributes(message) {
-        const attrs = restConfig.permittedBodyAttributes;
-        const headRe = '\\s?[-;:]?\\s*';
-        const tailRe = '.*?\\s';
-        const types = {
-            date: '(\\d{2}[-\/]\\d{2}[-\/]\\d{4}\\s*([0-2][0-9]:[0-5][0-9])?)',
-            id: '([a-zA-Z]{3}\\d{12})',
-            string: '(.+)'
-        };
-        const $ = cheerio.load(message.body);
-        const body = $('body').text() || message.body;
+    parsePermittedAttributes(message, config, isHtml) {
+        const attrs = config.permittedBodyAttributes;
+        const body = isHtml ? sanitizer().htmlToText(message.body) : message.body || '';
+
+        message.rejectedAttributes = [];
+        message.lookupAttributes = [];
 
-        //console.log('Parsed body: ' + body);
         return Object
             .keys(attrs)
             .reduce((fields, key) => {
-                const type = attrs[key];
-                const re = new RegExp(key + headRe + (types[type] || types.string) + tailRe, 'i');
+                // Either the type or { type, field, values, model, by }
+                const attr = typeof attrs[key] === 'string' ? { type: attrs[key] } : attrs[key];
+                const field = attr.field || key;
+                const re = new RegExp(`^[ \\t]*${key}(?![\\w])[ \\t]*[-;:]?[ \\t]*(.*?)[ \\t]*$`, 'im');
                 const match = re.exec(body);
-                if (match) {
-                    if (type === 'date') {
-                        let date = this.parseDate(match[1]);
-                        if (date)
-                            fields[key] = date;
-                    } else {
-                        fields[key] = match[1];
-                    }
+                if (!match || !match[1]) {
+                    return fields;
+                }
+
+                const value = this.parseAttributeValue(attr, match[1]);
+                if (value === undefined) {
+                    message.rejectedAttributes.push({ key, value: match[1], reason: 'invalid' });
+                } else if (attr.type === 'lookup') {
+                    message.lookupAttributes.push({ key, field, model: attr.model, by: attr.by, value });
+                } else {
+                    fields[field] = value;
                 }
 
                 return fields;
             }, {});
     }
 
-    isHtml(str) {
-        return /^<\s*html[^>]*>/i.test(str);
-    }
-
     /**
-     * Parses the message body and truncates it after a given delimiter
-     * or multiple delimiters specified in the configuration
-     * @param body { String } Can be either html or text
-     * @returns { String }
+     * @param attr { Object } { type, values } See `permittedBodyAttributes` in config.js
+     * @param text { String } The text following the attribute name
+     * @returns The value of the field or undefined if the text does not parse
      */
-    removeComments(body) {
-        const delimiters = restConfig.commentDelimiters;
-        const shouldTruncate = restConfig.truncateCommentsAfterDelimiter && delimiters.length;
-        if (!shouldTruncate) {
-            return body;
-        }
+    parseAttributeValue(attr, text) {
+        const booleans = { true: true, yes: true, y: true, on: true, 1: true, 'да': true,
+            false: false, no: false, n: false, off: false, 0: false, 'нет': false };
+        // Either the list of the values or the map of the written values to the field values
+        const toMap = values => Array.isArray(values) ?
+            values.reduce((result, value) => Object.assign(result, { [value]: value }), {}) :
+            values || {};
+
+        const parsers = {
+            date: () => {
+                const match = text.match(/^\d{2}[-\/]\d{2}[-\/]\d{4}(\s*[0-2][0-9]:[0-5][0-9])?/);
+                const date = match && this.parseDate(match[0]);
+                return date && !isNaN(Date.parse(date)) ? date : undefined;
+            },
+            id: () => {
+                const match = text.match(/^[a-zA-Z]{3}\d{12}\b/);
+                return match ? match[0].toUpperCase() : undefined;
+            },
+            number: () => /^-?\d+([.,]\d+)?$/.test(text) ? Number(text.replace(',', '.')) : undefined,
+            email: () => {
+                const match = text.replace(/^mailto:/i, '').match(/^<?([^\s@<>]+@[^\s@<>]+\.[^\s@<>]+)>?$/);
+                return match ? match[1].toLowerCase() : undefined;
+            },
+            boolean: () => booleans[text.toLowerCase()],
+            enum: () => {
+                const values = toMap(attr.values);
+                const name = Object.keys(values).filter(name => name.toLowerCase() === text.toLowerCase())[0];
+                return name !== undefined ? values[name] : undefined;
+            }
+        };
 
-        const isRe = obj => Object.prototype.toString.call(obj) === '[object RegExp]';
+        // `string` and the names to look up are taken as is
+        return parsers[attr.type] ? parsers[attr.type]() : text;
+    }
 
-        // The document is not in html format
-        if (!this.isHtml(body)) {
+    /**
+     * Finds the ids of the attributes given by name, like `team: Network`, and lists the rejected attributes
+     * at the end of the description. Always resolved, the attributes which are not found are rejected
+     * @param conn
+     * @param message
+     * @returns { Promise }
+     */
+    resolveAttributes(conn, message) {
+        const rest = conn.getMessageRest(message);
+        const lookups = message.lookupAttributes || [];
+
+        return Promise
+            .all(lookups.map(lookup => rest
+                .findRecordId(lookup.model, lookup.by, lookup.value)
+                .then(id => {
+                    message.parsedFields[lookup.field] = id;
+                }, reason => {
+                    message.rejectedAttributes.push({ key: lookup.key, value: lookup.value, reason });
+                })))
+            .then(() => {
+                const rejected = message.rejectedAttributes || [];
+                const notice = rest.config.rejectedAttributesNotice;
+                if (rejected.length) {
+                    message.log.info(`Rejected the attributes: ${rejected.map(item => item.key).join(', ')}`, { stage: 'parse' });
+                    message.body = this.addNotice(message.body, notice.title,
+                        rejected.map(item => `${item.key}: ${item.value} (${notice[item.reason]})`));
+                }
+            });
+    }
+
+    isHtml(str) {
+        return /^<\s*html[^>]*>/i.test(str);
+    }
+
+    /**
+     * Parses the message body and truncates it after a given delimiter
+     * or multiple delimiters specified in the configuration,
+     * removes the quoted history and the signatures of the replies, see reply-parser.js
+     * @param body { String } Can be either html or text
+     * @param config The REST configuration of the mailbox
+     * @param isHtml { Boolean } The body is html, which may be a fragment
+     * @param replies { ReplyParser }
+     * @returns { String }
+     */
+    removeComments(body, config, isHtml, replies) {
+        const delimiters = (config.truncateCommentsAfterDelimiter ? config.commentDelimiters : [])
+            .concat(replies.getDelimiters());
+        if (!delimiters.length) {
+            return body;
+        }
+
+        const isRe = obj => Object.prototype.toString.call(obj) === '[object RegExp]';
+
+        // The document is not in html format
+        if (!isHtml) {
             let result = body;
             delimiters.forEach(delimiter => {
                 const i = result.search(delimiter);
                 result = i !== -1 ? result.substring(0, i) : result;
             });
-            return result.replace(/\r?\n/g, '<br>');
+            return replies.cleanText(result);
         }
 
         // The document is in html format
         const $ = cheerio.load(body);
-        const $body = $('body');
+        // The html fragments, e.g. the ones made by Gmail, have no body
+        const $body = $('body').length ? $('body') : $.root();
 
         /**
          * Finds an element matching the regular expression
@@ -474,15 +1289,15 @@ class Multimap {
 
                     if (children.length) {
                         set = set.concat(traverse(children, re));
-                    } else {
-                        if (re.test($(el).text())) {
-                            set.push($(el));
-                            return false;
-                        } else if (re.test($(el).parent().text())) {
-                            set.push($(el).parent());
+                        if (set.length) {
                             return false;
                         }
                     }
+                    // The deepest element, the text may be split by the children like `<b>From:</b> Support`
+                    if (re.test($(el).text())) {
+                        set.push($(el));
+                        return false;
+                    }
                 });
                 return set;
             };
@@ -501,25 +1316,30 @@ class Multimap {
 
         /**
          * Truncates the document below the element including the el itself
-         * @param el The element to start truncation with
+         * @param el The element or the text node to start truncation with
          */
         const truncate = el => {
             let $parent = el.parent();
-            // Remove this element and its right siblings
-            el.nextAll().remove();
+            // Remove this element and its right siblings, the text ones too
+            for (let node = el[0].next; node; node = el[0].next) {
+                $(node).remove();
+            }
             if (el.is('body')) {
                 el.empty();
                 return;
             } else {
                 el.remove();
             }
-            while (!$parent.is('body')) {
+            // The top elements of a fragment have no parent
+            while ($parent.length && !$parent.is('body')) {
                 let $prevParent = $parent;
                 $parent = $prevParent.parent();
                 $prevParent.nextAll().remove();
             }
         };
 
+        replies.cleanHtml($, $body, truncate);
+
         delimiters.forEach(delimiter => {
             const getBodyText = () => $body.text();
             const re = isRe(delimiter) ? delimiter : new RegExp(delimiter);
@@ -528,7 +1348,9 @@ class Multimap {
             if (re.test($bodyText)) {
                 let found = findElement($body, re);
                 if (found) {
-                    truncate(found);
+                    // The delimiter may be a text of the element holding the answer too, like `-- ` of Gmail
+                    const $text = found.contents().filter((i, node) => node.type === 'text' && re.test(node.data)).first();
+                    truncate($text.length ? $text : found);
                 }
             }
         });
@@ -536,8 +1358,327 @@ class Multimap {
         return $.html();
     }
 
+    /**
+     * Makes the description html of the message body: the html is sanitized,
+     * the text is escaped and its links and line breaks are converted
+     * @param body { String }
+     * @param isHtml { Boolean } The message has the html body, which may be a fragment
+     * @param config { Object } See `description` in config.js
+     * @returns { String }
+     */
+    formatBody(body, isHtml, config) {
+        const description = sanitizer(config);
+        return isHtml ? description.sanitize(body) : description.textToHtml(body);
+    }
+
+    /**
+     * Shortens the description longer than `maxLength`, the whole description is saved as an attachment
+     * @param message The message having its body prepared and its attachments scanned
+     * @param config { Object } See `description` in config.js
+     * @returns { String } The description
+     */
+    limitDescription(message, config) {
+        const description = sanitizer(config);
+        const notice = config.overflowNotice.replace(/\{\{fileName\}\}/g, config.overflowFileName);
+        const body = description.truncate(message.body, notice);
+        if (body === null) {
+            return message.body;
+        }
+
+        const content = Buffer.from(description.toDocument(message.body));
+        message.attachments.push({
+            fileName: config.overflowFileName,
+            generatedFileName: config.overflowFileName,
+            contentType: 'text/html',
+            content,
+            length: content.length
+        });
+        message.log.info(`The description of ${message.body.length} characters is saved as ${config.overflowFileName}`,
+            { stage: 'parse' });
+        return body;
+    }
+
+    /**
+     * Keeps the attachments allowed by the policy in `message.attachments`,
+     * the skipped ones go to `message.skippedAttachments`
+     * @param conn
+     * @param message
+     * @param attachments { Array } The attachments parsed by MailParser
+     * @param config { Object } See `attachmentPolicy` in config.js
+     */
+    applyAttachmentPolicy(conn, message, attachments, config) {
+        const result = attachmentPolicy(config).apply(attachments);
+
+        message.attachments = result.accepted;
+        message.skippedAttachments = [];
+        result.skipped.forEach(item => this.skipAttachment(conn, message, item));
+    }
+
+    /**
+     * @param conn
+     * @param message
+     * @param item { Object } { fileName, size, reason }
+     */
+    skipAttachment(conn, message, item) {
+        message.log.info(`Skipping attachment '${item.fileName}', size: ${item.size} bytes, reason: ${item.reason}`,
+            { stage: 'attachments' });
+        metrics.attachmentsSkipped.inc(Object.assign(conn.getLabels(message.boxName), { reason: item.reason }));
+        message.attachmentResults.push({ filename: item.fileName, size: item.size, saved: false, skipped: item.reason });
+        message.skippedAttachments.push(item);
+    }
+
+    /**
+     * Scans the attachments and the original message with the scanner of the mailbox, if any.
+     * The infected files are dropped, or the message is moved to the quarantine or the failure folder,
+     * according to `scanner.onDetection`. When the scanner fails, the message is moved to the failure folder
+     * unless `scanner.onError` allows to save the files as they are
+     * @param conn
+     * @param boxName
+     * @param message The message having its body fetched
+     * @returns { Promise } Resolved with the message which may be processed further, rejected otherwise
+     */
+    scanMessage(conn, boxName, message) {
+        const config = conn.getRest(boxName).config.scanner;
+        const rejectMessage = this.rejectMessageFn(conn, boxName);
+        let instance;
+
+        try {
+            instance = scanner(config);
+        } catch (e) {
+            message.log.error(`Error loading the scanner '${config.adapter}': ${e.message}`, { stage: 'scan' });
+            return rejectMessage(message, 'scanError').finally(() => Promise.reject());
+        }
+
+        if (!instance) {
+            return Promise.resolve(message);
+        }
+
+        // The original message is checked before it's saved as .eml
+        const files = message.attachments
+            .map(attachment => {
+                const fileName = attachment.fileName || attachment.generatedFileName;
+                return { attachment, fileName, size: attachment.content.length, scan: () => instance.scan(attachment.content, fileName) };
+            })
+            .concat(conn.getRest(boxName).config.joinOriginalAsEml ? [{
+                eml: true,
+                fileName: `${message.uid}-message.eml`,
+                scan: () => this.scanOriginal(conn, message, instance, `${message.uid}-message.eml`)
+            }] : []);
+
+        const scanFile = file => file
+            .scan()
+            .then(result => {
+                metrics.attachmentsScanned.inc(Object.assign(conn.getLabels(boxName), { result: result.infected ? 'infected' : 'clean' }));
+                if (result.infected)
+                    message.log.error(`'${file.fileName}' is infected: ${result.signature}`, { stage: 'scan' });
+                return Object.assign({}, file, result);
+            }, err => {
+                metrics.attachmentsScanned.inc(Object.assign(conn.getLabels(boxName), { result: 'error' }));
+                message.log.error(err.message, { stage: 'scan' });
+                return Promise.reject(err);
+            });
+
+        // One by one, the scanners are seldom fast enough to run in parallel
+        return files
+            .reduce((promise, file) => promise.then(results => scanFile(file).then(result => results.concat(result))), Promise.resolve([]))
+            .then(results => {
+                const infected = results.filter(result => result.infected);
+                if (!infected.length)
+                    return message;
+
+                if (config.onDetection === 'quarantine')
+                    return rejectMessage(message, 'quarantined').finally(() => Promise.reject());
+                if (config.onDetection === 'fail')
+                    return rejectMessage(message, 'infected').finally(() => Promise.reject());
+
+                infected.forEach(result => {
+                    if (result.eml)
+                        message.emlInfected = true;
+                    else
+                        message.attachments = message.attachments.filter(attachment => attachment !== result.attachment);
+                    this.skipAttachment(conn, message, { fileName: result.fileName, size: result.size, reason: 'infected' });
+                });
+                return message;
+            }, () => {
+                if (config.onError === 'allow')
+                    return message;
+                return rejectMessage(message, 'scanError').finally(() => Promise.reject());
+            });
+    }
+
+    /**
+     * Streams the original message from the IMAP server to the scanner instead of keeping it in memory,
+     * the adapters having no `scanStream` get it as a buffer
+     * @param conn
+     * @param message
+     * @param instance The scanner, see scanner.js
+     * @param fileName { String }
+     * @returns { Promise } Resolved with the result of the scan and the `size` of the message
+     */
+    scanOriginal(conn, message, instance, fileName) {
+        const toBuffer = stream => new Promise((resolve, reject) => {
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.once('error', reject);
+            stream.once('end', () => resolve(Buffer.concat(chunks)));
+        });
+
+        return new Promise((resolve, reject) => {
+            const f = conn.fetch(message.uid, { bodies: '' });
+            let fetched = false;
+
+            f.on('message', msg => {
+                msg.on('body', (stream, info) => {
+                    fetched = true;
+                    // The scan may fail before the fetch ends, e.g. when the scanner is not available
+                    const scan = instance.scanStream ?
+                        instance.scanStream(stream, fileName) :
+                        toBuffer(stream).then(buffer => instance.scan(buffer, fileName));
+                    scan.then(result => Object.assign({ size: info.size }, result)).then(resolve, reject);
+                });
+            });
+            f.once('error', err => reject(new Error(`Msg uid: ${message.uid} fetch error: ${err}`)));
+            f.once('end', () => {
+                if (!fetched)
+                    reject(new Error(`Msg uid: ${message.uid} could not be fetched to be scanned`));
+            });
+        });
+    }
+
+    /**
+     * Makes the description of the issue or the comment from the message body:
+     * resolves the inline images and lists the skipped attachments
+     * @param conn
+     * @param boxName
+     * @param message The message having its body fetched and its attachments scanned
+     */
+    prepareBody(conn, boxName, message) {
+        const config = conn.getRest(boxName).config;
+        message.body = this.resolveInlineImages(message, config.inlineImages);
+        message.body = this.limitDescription(message, config.description);
+        message.body = this.addSkippedAttachmentsNotice(message.body, message.skippedAttachments, config.attachmentPolicy.notice);
+    }
+
+    /**
+     * Resolves the `<img src="cid:...">` of the html body. The images smaller than `dataUriBelow`
+     * are embedded as data URIs and not saved as attachments. The other saved images keep their `cid:`
+     * until they get their attachment ids, see `linkInlineImages`. The images which are not saved,
+     * like the skipped or the infected ones, are removed
+     * @param message
+     * @param config { Object } See `inlineImages` in config.js
+     * @returns { String } The body
+     */
+    resolveInlineImages(message, config) {
+        const body = message.body || '';
+        message.imageIds = {};
+
+        if (!/<img[^>]+src\s*=\s*["']?cid:/i.test(body)) {
+            return body;
+        }
+
+        const findByCid = (list, cid) => list.filter(attachment => normalizeCid(attachment.contentId) === cid)[0];
+        // The small images skipped by the attachment policy can be embedded as well
+        const inline = message.skippedAttachments
+            .filter(item => item.reason === 'inline')
+            .map(item => item.attachment);
+        const embedded = [];
+
+        const $ = cheerio.load(body, { decodeEntities: false });
+        $('img').each((i, el) => {
+            const $img = $(el);
+            if (!/^cid:/i.test($img.attr('src') || '')) {
+                return;
+            }
+
+            const cid = normalizeCid($img.attr('src'));
+            const attachment = findByCid(message.attachments, cid) || findByCid(inline, cid);
+            if (!attachment) {
+                $img.remove();
+            } else if (attachment.length < config.dataUriBelow) {
+                $img.attr('src', `data:${attachment.contentType};base64,${attachment.content.toString('base64')}`);
+                embedded.push(attachment);
+            } else if (message.attachments.indexOf(attachment) === -1) {
+                $img.remove();
+            }
+        });
+
+        message.attachments = message.attachments.filter(attachment => embedded.indexOf(attachment) === -1);
+        return $.html();
+    }
+
+    /**
+     * Points the `cid:` images of the stored description to the saved attachments
+     * @param message The message having `imageIds` filled in by `saveMessageAttachments`
+     * @param config { Object } See `inlineImages` in config.js
+     * @param vars { Object } { modelUri, id } of the issue or the comment
+     * @returns { String } The description or an empty string if nothing is changed
+     */
+    linkInlineImages(message, config, vars) {
+        const imageIds = message.imageIds || {};
+        if (!config.url || !Object.keys(imageIds).length) {
+            return '';
+        }
+
+        let changed = false;
+        const $ = cheerio.load(message.body, { decodeEntities: false });
+        $('img').each((i, el) => {
+            const $img = $(el);
+            const attachmentId = /^cid:/i.test($img.attr('src') || '') && imageIds[normalizeCid($img.attr('src'))];
+            if (attachmentId) {
+                const url = config.url.replace(/\{\{(\w+)\}\}/g,
+                    (match, name) => name === 'attachmentId' ? attachmentId : vars[name] || '');
+                $img.attr('src', url);
+                changed = true;
+            }
+        });
+
+        return changed ? $.html() : '';
+    }
+
+    /**
+     * Lists the skipped attachments at the end of the body. The inline images are not listed,
+     * since they are mostly the logos in the signatures
+     * @param body { String } Either html or text
+     * @param skipped { Array } See `AttachmentPolicy.apply`
+     * @param notice { Object } The title and the texts of the reasons, see `attachmentPolicy.notice` in config.js
+     * @returns { String }
+     */
+    addSkippedAttachmentsNotice(body, skipped, notice) {
+        const lines = skipped
+            .filter(item => item.reason !== 'inline')
+            .map(item => `${item.fileName} (${notice[item.reason]})`);
+
+        return lines.length ? this.addNotice(body, notice.title, lines) : body;
+    }
+
+    /**
+     * Adds a paragraph at the end of the description
+     * @param body { String } The html document or fragment, see `formatBody`
+     * @param title { String }
+     * @param lines { Array } The text lines
+     * @param atStart { Boolean } Add the paragraph at the start instead
+     * @returns { String }
+     */
+    addNotice(body, title, lines, atStart) {
+        const escaped = [sanitizer.escape(title)].concat(lines.map(sanitizer.escape));
+        if (this.isHtml(body)) {
+            const $ = cheerio.load(body, { decodeEntities: false });
+            $('body')[atStart ? 'prepend' : 'append'](`<p>${escaped.join('<br>')}</p>`);
+            return $.html();
+        }
+
+        // The text bodies and the html fragments, see `formatBody`
+        if (!body)
+            return escaped.join('<br>');
+        return atStart ? escaped.concat('', body).join('<br>') : [body, ''].concat(escaped).join('<br>');
+    }
+
     getMessageBody(conn, message) {
 
+        const config = conn.getRest(message.boxName).config;
+
+        const startedOn = Date.now();
+
         const getEntireMessage = (resolve, reject, message) => {
             const uid = message.uid;
 
@@ -546,17 +1687,21 @@ class Multimap {
 
                 writeStream.on('end', (mail) => {
                     message.body = mail.html || mail.text;
-                    message.parsedFields = this.parsePermittedAttributes(message);
-                    message.body = this.removeComments(message.body);
-                    message.attachments = mail.attachments ? mail.attachments.slice(0) : [];
+                    message.parsedFields = this.parsePermittedAttributes(message, config, !!mail.html);
+                    const replies = replyParser(config.replies, message.header.subject && message.header.subject[0],
+                        this.isReply(conn, message));
+                    message.body = this.removeComments(message.body, config, !!mail.html, replies);
+                    message.body = this.formatBody(message.body, !!mail.html, config.description);
+                    this.applyAttachmentPolicy(conn, message, mail.attachments || [], config.attachmentPolicy);
                     // The parsed mails can be heavy enough, so clean up the buffer for better GC
                     mail = undefined;
-                    logger.info(`B2. Message uid: ${uid} entirely fetched and parsed`);
+                    message.timings.body += Date.now() - startedOn;
+                    message.log.info(`B2. Message uid: ${uid} entirely fetched and parsed`, { stage: 'parse' });
                     resolve(message);
                 });
 
                 msg.on('body', (stream, info) => {
-                    logger.info(`B1. Fetching msg uid: ${uid}, body size: ${info.size} bytes`);
+                    message.log.info(`B1. Fetching msg uid: ${uid}, body size: ${info.size} bytes`, { stage: 'fetch' });
                     stream.pipe(writeStream);
                 });
             };
@@ -570,13 +1715,42 @@ class Multimap {
             //pipe function to process attachment message
             f.on('message', getEntireMessage(resolve, reject, message));
             f.once('error', (error) => {
-                logger.error(`Error fetching the msg uid: ${message.uid} -> ${error}`);
+                message.log.error(`Error fetching the msg uid: ${message.uid} -> ${error}`, { stage: 'fetch' });
                 // Важно: даже при ошибке сохранения вложенных файлов всегда возвращаем Resolve
                 reject(message);
             });
         });
     }
 
+    /**
+     * Searches the opened mailbox for the unseen messages and for the messages whose
+     * processing is not finished according to the ledger and is due for another attempt.
+     * The latter are already seen, since they produced an issue or a comment but failed to be moved
+     * @param conn
+     * @param boxName
+     * @param box The opened box
+     * @param callback { Function } (err, uids, retries): the new messages and the unfinished ones
+     */
+    searchMessages(conn, boxName, box, callback) {
+        const unfinished = ledger.getUnfinishedUids(conn.getServerId(), boxName, box.uidvalidity);
+
+        conn.search(['UNSEEN'], (err, uids) => {
+            if (err || !unfinished.length) {
+                callback(err, uids, []);
+                return;
+            }
+
+            conn.search([['UID', unfinished.join(',')]], (err, found) => {
+                if (err) {
+                    conn.log.error(`Error searching for the unfinished messages in '${boxName}': ${err}`);
+                    found = [];
+                }
+                // Keep the order of the ledger
+                callback(null, uids.filter(uid => found.indexOf(uid) === -1), unfinished.filter(uid => found.indexOf(uid) !== -1));
+            });
+        });
+    }
+
     processBox(conn, boxName) {
 
         if (!conn.isRunning) {
@@ -588,149 +1762,551 @@ class Multimap {
             conn.openBox(boxName, false, (err, box) => {
                 if (err) {
                     reject(boxName);
-                    logger.error('Error opening the box: %s', inspect(err));
+                    conn.log.error(`Error opening the box: ${inspect(err)}`);
+                    conn.setError(`Error opening the box '${boxName}': ${err}`);
                     return;
                 }
 
-                const maxQueryMessages = restConfig.maxQueryMessages;
-                conn.search(['UNSEEN'], (err, uids) => {
+                const maxQueryMessages = conn.getRest(boxName).config.maxQueryMessages;
+                this.searchMessages(conn, boxName, box, (err, uids, retries) => {
                     if (err) {
                         reject(boxName);
                         return;
                     }
 
                     //console.log(`${uids.length} messages fetched by 'search'`);
+                    const stats = conn.getBoxStats(boxName);
+                    stats.pending = uids.length + retries.length;
 
-                    if (!uids.length) {
+                    if (!stats.pending) {
                         resolve(boxName);
                         return;
                     }
 
-                    const ids = uids.slice(0, maxQueryMessages);
+                    // The unfinished messages take a part of the batch only, so they do not hold up the new ones
+                    const retryCount = Math.min(retries.length,
+                        uids.length ? Math.min(Math.ceil(maxQueryMessages / 2), maxQueryMessages - 1) : maxQueryMessages);
+                    const newIds = uids.slice(0, maxQueryMessages - retryCount);
+                    const ids = retries.slice(0, retryCount).concat(newIds);
+                    if (uids.length > newIds.length && conn.pendingBoxes.indexOf(boxName) === -1) {
+                        // Do not wait for the next notification or interval to process the rest of the new messages,
+                        // the unfinished ones wait for their next attempt
+                        conn.pendingBoxes.push(boxName);
+                    }
+
+                    this.fetchMessages(conn, boxName, box, ids)
+                        .then(messages => {
+                            // 0. read mail from IMAP, parse it
+                            // 1. then create an issue via rest
+                            // 2. then save attachments via rest
+                            // 3. then only move the message to `boxName.success`
+                            // 4. on error, try to move the message to `boxName.failure`
+                            // 5. when all messages are processed -> move on to the next mailbox
+                            conn.log.info(`Done fetching ${messages.length} message(s) from '${boxName}'`);
+                            metrics.messagesFetched.inc(conn.getLabels(boxName), messages.length);
+
+                            const processAndCount = message => {
+                                const observe = metrics.messageDuration.startTimer(conn.getLabels(boxName));
+                                return this.processMessage(conn, boxName, message)
+                                    .finally(() => {
+                                        observe();
+                                        stats.pending = Math.max(stats.pending - 1, 0);
+                                    });
+                            };
+
+                            return Promise
+                                .all(messages.map(processAndCount))
+                                .catch(() => null);
+                        })
+                        .then(() => resolve(boxName), () => reject(boxName));
+                });
+            });
+        });
+    }
 
-                    const f = conn.fetch(ids, {
-                        //bodies: ['HEADER.FIELDS (FROM SUBJECT DATE)'],
-                        bodies: ['HEADER'],
-                        struct: true,
-                        markSeen: true
+    /**
+     * Fetches the headers and the structure of the messages in the opened box, marking them seen
+     * @param conn
+     * @param boxName The configured mailbox the messages belong to
+     * @param box The opened box: `boxName` itself or, when reprocessing, its failure folder
+     * @param uids { Array }
+     * @param readOnly { Boolean } Leave the messages unseen, e.g. for a dry run
+     * @returns { Promise } Resolved with the messages
+     */
+    fetchMessages(conn, boxName, box, uids, readOnly) {
+        return new Promise((resolve, reject) => {
+            const f = conn.fetch(uids, {
+                //bodies: ['HEADER.FIELDS (FROM SUBJECT DATE)'],
+                bodies: ['HEADER'],
+                struct: true,
+                markSeen: !readOnly
+            });
+            let messages = [];
+
+            f.on('message', (msg, seqno) => {
+                // The correlation id ties together the log records of the message
+                let message = {
+                    boxName,
+                    log: conn.log.child({ correlationId: logger.correlationId(), mailbox: boxName }),
+                    // The milliseconds spent on fetching the body and on the REST requests, for the journal
+                    timings: { startedOn: Date.now(), body: 0, rest: 0 },
+                    attachmentResults: []
+                };
+
+                msg.on('body', (stream) => {
+                    let buffer = '';
+
+                    stream.on('data', (chunk) => {
+                        buffer += chunk.toString('utf8');
+                    });
+                    stream.once('end', () => {
+                        message.header = Imap.parseHeader(buffer);
+                        message.log.set({ messageId: (message.header['message-id'] || [])[0] });
+                        //logger.info('#' + seqno + ' headers parsed %s', inspect(message.header));
+                        message.log.info('#' + seqno + ' headers parsed', { stage: 'header' });
                     });
-                    let messages = [];
+                });
 
-                    f.on('message', (msg, seqno) => {
-                        let message = {};
+                msg.once('attributes', (attrs) => {
+                    const bodies = this.findBodyParts(attrs.struct);
+                    const attachments = this.findAttachmentParts(attrs.struct);
+
+                    message.uid = attrs.uid;
+                    message.log.set({ uid: attrs.uid });
+                    // Where the message actually is
+                    message.location = {
+                        server: conn.getServerId(),
+                        mailbox: box.name,
+                        uidvalidity: box.uidvalidity,
+                        uid: attrs.uid
+                    };
+                    message.attachments = attachments;
+                    message.bodies = bodies;
+                    message.body = '';
+
+                    const parts = `${attachments.length} attachment(s), ${bodies.length} body part(s)`;
+                    message.log.info(`Msg uid: ${attrs.uid} has ${parts}`, { stage: 'header' });
+                });
 
-                        msg.on('body', (stream) => {
-                            let buffer = '';
+                msg.once('end', () => {
+                    messages.push(Object.assign({}, message));
+                });
+            });
 
-                            stream.on('data', (chunk) => {
-                                buffer += chunk.toString('utf8');
-                            });
-                            stream.once('end', () => {
-                                message.header = Imap.parseHeader(buffer);
-                                //logger.info('#' + seqno + ' headers parsed %s', inspect(message.header));
-                                logger.info('#' + seqno + ' headers parsed');
-                            });
-                        });
+            f.once('error', (err) => {
+                // Do not log this, since it can emit errors like:
+                // `Error: The specified message set is invalid.`
+                // logger.info('Fetch error: ' + err);
+                reject(err);
+            });
 
-                        msg.once('attributes', (attrs) => {
-                            const bodies = this.findBodyParts(attrs.struct);
-                            const attachments = this.findAttachmentParts(attrs.struct);
+            f.once('end', () => resolve(messages));
+        });
+    }
 
-                            message.uid = attrs.uid;
-                            message.attachments = attachments;
-                            message.bodies = bodies;
-                            message.body = '';
+    /**
+     * Finishes the message known to the ledger. Otherwise fetches the body, scans the attachments
+     * and creates a comment if the message refers to an issue or a new issue
+     * @param conn
+     * @param boxName The configured mailbox of the message
+     * @param message
+     * @returns { Promise }
+     */
+    processMessage(conn, boxName, message) {
+        // 1. If the subject has an issueId
+        // 2. +then create a new comment and save the attachments if any
+        // 3. -catch proceed with doCreateIssue
 
-                            logger.info(`Msg uid: ${attrs.uid} has ${attachments.length} attachment(s), ${bodies.length} body part(s)`);
-                        });
+        if (!conn.isRunning) {
+            return Promise.reject();
+        }
 
-                        msg.once('end', () => {
-                            messages.push(Object.assign({}, message));
-                        });
-                    });
+        // A record may only keep the commands run, see `runCommands`
+        const record = ledger.find(message);
+        if (record && record.issueId) {
+            return this.resumeMessage(conn, boxName, message, record);
+        }
 
-                    f.once('error', (err) => {
-                        // Do not log this, since it can emit errors like:
-                        // `Error: The specified message set is invalid.`
-                        // logger.info('Fetch error: ' + err);
-                        reject(boxName);
-                    });
+        const rejectMessage = this.rejectMessageFn(conn, boxName);
 
-                    f.once('end', () => {
-                        // 0. read mail from IMAP, parse it
-                        // 1. then create an issue via rest
-                        // 2. then save attachments via rest
-                        // 3. then only move the message to `boxName.success`
-                        // 4. on error, try to move the message to `boxName.failure`
-                        // 5. when all messages are processed -> move on to the next mailbox
-                        logger.info(`Done fetching ${messages.length} message(s) from '${boxName}'`);
-
-                        const processMessage = message => {
-                            // 1. If the subject has an issueId
-                            // 2. +then create a new comment and save the attachments if any
-                            // 3. -catch proceed with doCreateIssue
-
-                            if (!conn.isRunning) {
-                                return Promise.reject();
-                            }
-
-                            return rest
-                                .getIssueFromSubject(message)
-                                .then(issue => this.doCreateComment(conn, boxName, issue, message))
-                                .catch(() => this.doCreateIssue(conn, boxName, message));
-                        };
-
-                        if (!messages.length) {
-                            resolve(boxName);
-                            return;
-                        }
+        return this.getMessageBody(conn, message)
+            .catch(() => rejectMessage(message, 'error').finally(() => Promise.reject()))
+            .then(() => this.scanMessage(conn, boxName, message))
+            .then(() => {
+                this.prepareBody(conn, boxName, message);
 
-                        Promise
-                            .all(messages.map(processMessage))
-                            .then(() => resolve(boxName))
-                            .catch(() => resolve(boxName));
-                    });
-                });
+                return this
+                    .findIssue(conn, message)
+                    .then(issue => this.checkClosedIssue(conn, message, issue))
+                    .then(issue => this.doCreateComment(conn, boxName, issue, message))
+                    .catch(() => this.doCreateIssue(conn, boxName, message));
             });
+    }
+
+    /**
+     * Collects the Message-IDs the message replies to: `In-Reply-To` goes first,
+     * then `References` starting from the most recent one
+     * @param message
+     * @returns { Array }
+     */
+    getReferencedMessageIds(message) {
+        const parse = name => (message.header[name] || [])
+            .join(' ')
+            .match(/<[^<>\s]+>/g) || [];
+
+        return parse('in-reply-to')
+            .concat(parse('references').reverse())
+            .filter((id, i, ids) => ids.indexOf(id) === i);
+    }
+
+    /**
+     * Whether the message is a reply: it refers to the earlier messages or has an issueId in the subject.
+     * Only the replies lose their quoted history, see reply-parser.js
+     * @param conn
+     * @param message
+     * @returns { Boolean }
+     */
+    isReply(conn, message) {
+        const subject = message.header.subject && message.header.subject[0];
+        return this.getReferencedMessageIds(message).length > 0 || !!conn.getRest(message.boxName).parseId('SRQ', subject);
+    }
+
+    /**
+     * Finds the issue the message replies to. The `In-Reply-To` and `References` headers
+     * are looked up in the ledger first, the issueId in the subject is the fallback
+     * @param message
+     * @returns { Promise } Resolved with the issue, rejected if there's none
+     */
+    findIssue(conn, message) {
+        const rest = conn.getMessageRest(message);
+        const issueId = ledger.findIssueId(this.getReferencedMessageIds(message), {
+            server: conn.getServerId(),
+            endpoint: rest.getEndpoint()
         });
+        if (!issueId) {
+            return rest.getIssueFromSubject(message);
+        }
+
+        message.log.info(`Msg uid: ${message.uid} is a reply to a message of the issue ${issueId}`, { stage: 'lookup' });
+        return rest
+            .getIssue(issueId)
+            .catch(() => rest.getIssueFromSubject(message));
     }
 
-    doCreateComment(conn, boxName, issue, message) {
+    /**
+     * Handles the replies to the closed issues according to `closedIssues` in config.js: the issue is reopened,
+     * the sender is notified that the issue is closed or a new issue referring to the closed one is created.
+     * The new issue is kept in the ledger, so the later replies to the closed one are added to it
+     * @param conn
+     * @param message
+     * @param issue The issue fetched from HPSM
+     * @returns { Promise } Resolved with the issue to comment, rejected if a new issue is to be created
+     */
+    checkClosedIssue(conn, message, issue) {
+        const rest = conn.getMessageRest(message);
+        const config = rest.config.closedIssues;
+        // The field names as sent or as returned by HPSM
+        const field = name => issue[name] || issue[name[0].toUpperCase() + name.slice(1)];
+
+        if (config.statusIds.indexOf(field('statusId')) === -1) {
+            return Promise.resolve(issue);
+        }
+
+        const closedOn = Date.parse(field(config.closedOnField) || '');
+        const days = isNaN(closedOn) ? 0 : (Date.now() - closedOn) / (24 * 60 * 60 * 1000);
+        const action = config.newIssueAfterDays && days > config.newIssueAfterDays ? 'newIssue' : config.action;
+        message.log.info(`Msg uid: ${message.uid} replies to the closed issue ${issue.Id}, action: ${action}`, { stage: 'lookup' });
+
+        if (action === 'newIssue') {
+            const createIssue = () => {
+                message.linkedIssueId = issue.Id;
+                const reference = config.reference.replace(/\{\{issueId\}\}/g, issue.Id);
+                message.body = this.addNotice(message.body, reference, [], true);
+                return Promise.reject(issue.Id);
+            };
+            // The later replies are added to the issue created by the first one, which may be closed as well
+            const followUpId = ledger.findFollowUpIssueId(issue.Id, { server: conn.getServerId(), endpoint: rest.getEndpoint() });
+            if (!followUpId) {
+                return createIssue();
+            }
+            message.log.info(`Msg uid: ${message.uid} goes to the follow-up issue ${followUpId}`, { stage: 'lookup' });
+            return rest
+                .getIssue(followUpId)
+                .then(followUp => this.checkClosedIssue(conn, message, followUp), createIssue);
+        }
+        if (action === 'notify') {
+            message.closedIssueId = issue.Id;
+            return Promise.resolve(issue);
+        }
+        if (action === 'reopen') {
+            // A failed update leaves the issue closed, but the comment is added anyway
+            return rest
+                .updateRecord('Issues', issue.Id, { statusId: config.reopenStatusId })
+                .then(() => message.log.info(`Reopened the issue ${issue.Id}`, { stage: 'lookup' }), () => null)
+                .then(() => issue);
+        }
+        return Promise.resolve(issue);
+    }
+
+    /**
+     * Finishes the processing of a message which already produced an issue or a comment
+     * according to the ledger: e.g. the process died or the message failed to be moved
+     * @param conn
+     * @param boxName
+     * @param message
+     * @param record The ledger record of the message
+     * @returns { Promise } Always resolved
+     */
+    resumeMessage(conn, boxName, message, record) {
+        const produced = record.commentId || record.issueId;
+        message.log.info(`Msg uid: ${message.uid} has already produced ${produced}, finishing the remaining steps`, { stage: 'resume' });
+
+        // The message body is only needed to save the attachments
+        const fetched = record.attachments ?
+            Promise.resolve(message) :
+            this.getMessageBody(conn, message)
+                .then(() => this.scanMessage(conn, boxName, message))
+                .then(() => this.prepareBody(conn, boxName, message));
+
+        return fetched
+            .then(() => this.finishMessage(conn, boxName, message, {}))
+            .catch(() => Promise.resolve());
+    }
+
+    /**
+     * Runs the steps following the creation of an issue or a comment: saves the original
+     * message as .eml (issues only), the attachments, notifies the sender if the server has
+     * the outgoing mail configured, then moves the message to `boxName.success`.
+     * Every step is recorded in the ledger and is skipped if the ledger says it's done
+     * @param conn
+     * @param boxName
+     * @param message
+     * @param result { Object } { issueId } or { issueId, commentId }
+     * @returns { Promise } Rejected if the message could not be moved
+     */
+    finishMessage(conn, boxName, message, result) {
         const moveMessageOnSuccess = this.moveMessageFn(conn, conn.getSuccessBoxName(boxName));
-        const moveMessageOnFailure = this.moveMessageFn(conn, conn.getFailureBoxName(boxName));
+        // The issue is looked up by the replies in the same HPSM only, see `findIssue`
+        const record = ledger.startAttempt(message, Object.assign({ endpoint: conn.getMessageRest(message).getEndpoint() }, result));
+        const isIssue = !record.commentId;
+        message.log.set({ issueId: record.issueId, commentId: record.commentId });
+
+        // A resumed message has no result, its issue or comment has been counted already
+        if (result.commentId)
+            metrics.commentsCreated.inc(conn.getLabels(boxName));
+        else if (result.issueId)
+            metrics.issuesCreated.inc(conn.getLabels(boxName));
+        const obj = isIssue ? { type: 'ZIssue', id: record.issueId } : { type: 'ZComment', id: record.commentId };
+
+        const saveEml = () => {
+            if (!isIssue || record.eml)
+                return Promise.resolve();
+
+            return this.saveEmlAsAttachment(conn, message, record.issueId)
+                .then(() => ledger.update(message, { eml: true }));
+        };
 
-        return this.getMessageBody(conn, message)
+        const saveAttachments = () => {
+            if (record.attachments)
+                return Promise.resolve();
+
+            return this.saveMessageAttachments(conn, message, obj)
+                .then(() => ledger.update(message, { attachments: true }));
+        };
+
+        // Only right after saving the attachments, since their ids are not kept in the ledger
+        const linkImages = () => {
+            const rest = conn.getMessageRest(message);
+            const model = isIssue ? 'Issues' : 'Comments';
+            const body = record.attachments ? '' : this.linkInlineImages(message, rest.config.inlineImages, {
+                modelUri: rest.getModelPath(model),
+                id: obj.id
+            });
+
+            if (!body)
+                return Promise.resolve();
+
+            // A failed update leaves the images broken, but does not fail the message
+            return rest
+                .updateRecord(model, obj.id, isIssue ? { description: body } : { comment: body })
+                .then(() => message.log.info(`Linked the inline images of ${obj.id}`, { stage: 'attachments' }), () => null);
+        };
+
+        const notify = () => {
+            if (!conn.mailer || record.notified)
+                return Promise.resolve();
+
+            const sent = isIssue ?
+                conn.mailer.sendIssueCreated(message, record.issueId) :
+                message.closedIssueId ?
+                    conn.mailer.sendClosedIssueComment(message, record.issueId, record.commentId) :
+                    conn.mailer.sendCommentAdded(message, record.issueId, record.commentId);
+
+            // A failed notification does not fail the message. The replies to the notification are found by its Message-ID
+            return sent.then(notificationId => {
+                ledger.update(message, notificationId ? { notified: true, notificationId } : { notified: true });
+            }, () => null);
+        };
+
+        return saveEml()
+            .then(saveAttachments)
+            .then(linkImages)
+            .then(notify)
+            .then(() => moveMessageOnSuccess(message))
+            .then(() => {
+                conn.getBoxStats(boxName).processed++;
+                ledger.update(message, { moved: true });
+                this.journalMessage(conn, message, isIssue ? 'issue' : 'comment');
+            }, err => {
+                this.journalMessage(conn, message, 'moveError');
+                return Promise.reject(err);
+            });
+    }
+
+    /**
+     * Writes the outcome of the message to the journal
+     * @param conn
+     * @param message
+     * @param outcome { String } One of `journal.outcomes`
+     * @param fields { Object } Optional, e.g. { reason } of a rejected message which failed to be moved
+     */
+    journalMessage(conn, message, outcome, fields) {
+        const record = ledger.find(message) || {};
+        const timings = message.timings;
+        message.outcome = outcome;
+
+        journal.add(Object.assign({
+            on: new Date().toISOString(),
+            correlationId: message.log.getFields().correlationId,
+            server: conn.name,
+            mailbox: message.boxName,
+            uid: message.uid,
+            messageId: ledger.getMessageId(message),
+            from: message.header.from && message.header.from[0],
+            subject: message.header.subject && message.header.subject[0],
+            outcome,
+            issueId: record.issueId,
+            commentId: record.commentId,
+            attachments: message.attachmentResults,
+            timings: {
+                body: timings.body,
+                rest: timings.rest,
+                total: Date.now() - timings.startedOn
+            }
+        }, fields));
+    }
+
+    /**
+     * Runs the commands of the reply, like `#close`, as the updates of the issue and lists them
+     * at the end of the comment. Always resolved, the commands which are not allowed or fail are rejected.
+     * The commands run are kept in the ledger, so they do not run again when the message is processed again
+     * @param conn
+     * @param message The message having the command lines removed from its body
+     * @param issue The issue fetched from HPSM
+     * @param list { Array } The commands, see `Commands.extract`
+     * @param personId { String } The person of the sender, null if unknown
+     * @returns { Promise }
+     */
+    runCommands(conn, message, issue, list, personId) {
+        const rest = conn.getMessageRest(message);
+        const config = rest.config.commands;
+        const commands = commandsParser(config);
+        const roles = commands.getRoles(issue, personId, rest.parseEmailAddress(message.header.from[0]),
+            message.header['authentication-results']);
+        const record = ledger.find(message);
+        const ran = record && record.commands || [];
+        const done = [];
+        const rejected = [];
+
+        const reject = (command, reason) => {
+            message.log.info(`Rejected the command '${command.line}': ${reason}`, { stage: 'commands' });
+            rejected.push(`${command.line} (${config.notice[reason]})`);
+        };
+
+        const run = command => {
+            if (ran.indexOf(command.line) !== -1) {
+                message.log.info(`The command '${command.line}' has already run on ${issue.Id}`, { stage: 'commands' });
+                done.push(command.line);
+                return Promise.resolve();
+            }
+            if (!commands.isAllowed(command, roles)) {
+                reject(command, 'denied');
+                return Promise.resolve();
+            }
+
+            const update = commands.getUpdate(command);
+            if (update.error) {
+                reject(command, update.error);
+                return Promise.resolve();
+            }
+
+            const lookup = update.lookup;
+            const fields = lookup ?
+                rest.findRecordId(lookup.model, lookup.by, lookup.value).then(id => ({ [lookup.field]: id })) :
+                Promise.resolve(update.fields);
+
+            return fields
+                .then(values => rest.updateRecord('Issues', issue.Id, values).catch(() => Promise.reject('failed')))
+                .then(() => {
+                    message.log.info(`Ran the command '${command.line}' on ${issue.Id}`, { stage: 'commands' });
+                    done.push(command.line);
+                    ledger.update(message, { commands: done.slice() });
+                }, reason => reject(command, reason));
+        };
+
+        // In order, the later commands override the earlier ones
+        return list
+            .reduce((promise, command) => promise.then(() => run(command)), Promise.resolve())
+            .then(() => {
+                if (done.length)
+                    message.body = this.addNotice(message.body, config.notice.done, done);
+                if (rejected.length)
+                    message.body = this.addNotice(message.body, config.notice.title, rejected);
+            });
+    }
+
+    doCreateComment(conn, boxName, issue, message) {
+        const rest = conn.getMessageRest(message);
+        const rejectMessage = this.rejectMessageFn(conn, boxName);
+        // The command lines are removed from the comment
+        const extracted = commandsParser(rest.config.commands).extract(message.body);
+        message.body = extracted.body;
+
+        const runCommands = personId => extracted.commands.length ?
+            this.runCommands(conn, message, issue, extracted.commands, personId) :
+            Promise.resolve();
+
+        const createComment = comment => {
+            return rest
+                .createComment(Object.assign({ description: message.body }, comment))
+                .then(
+                    commentId => this.finishMessage(conn, boxName, message, { issueId: issue.Id, commentId })
+                        .catch(() => Promise.resolve()),
+                    () => rejectMessage(message, 'error')
+                );
+        };
+
+        // The body is fetched by `processMessage`
+        return Promise.resolve()
             .then(() => {
                 const email = message.header.from[0];
                 const comment = {
                     authorId: null,
-                    issueId: issue.Id,
-                    description: message.body
+                    issueId: issue.Id
                 };
 
                 return rest
                     .getPersonIdByEmail(email)
                     .catch(() => {
-                        return rest
-                            .createComment(comment)
-                            .then(commentId => this.saveMessageAttachments(conn, message, { type: 'ZComment', id: commentId }))
-                            .then(() => moveMessageOnSuccess(message).catch(() => Promise.resolve()))
-                            .catch(() => moveMessageOnFailure(message))
+                        return runCommands(null)
+                            .then(() => createComment(comment))
                             .finally(() => Promise.reject());
                     })
-                    .then(authorId => {
-                        return rest
-                            .checkSpamByPersonId(authorId, message)
-                            .then(authorId => Promise.resolve(authorId))
-                            .catch(() => moveMessageOnFailure(message).finally(() => Promise.reject()));
-                    })
-                    .then(authorId => Object.assign({}, comment, { authorId }))
+                    // The comments have their own limits, a merged message is already counted as an issue
+                    .then(authorId => message.spam ? authorId : this.checkSpam(conn, boxName, message, authorId, true))
+                    .then(authorId => runCommands(authorId).then(() => Object.assign({}, comment, { authorId })))
                     .then(comment => {
-                        return rest
-                            .createComment(comment)
-                            .then(commentId => this.saveMessageAttachments(conn, message, { type: 'ZComment', id: commentId }))
-                            .then(() => moveMessageOnSuccess(message).catch(() => Promise.resolve()))
-                            .catch(() => moveMessageOnFailure(message))
+                        return createComment(comment)
                             .finally(() => Promise.resolve());
                     })
                     .finally(() => Promise.resolve());
@@ -738,46 +2314,114 @@ class Multimap {
             .catch(() => Promise.resolve());
     }
 
+    /**
+     * Checks the rate limits of the sender, see `checkSpam` in rest.js. The rejected message is moved to the failure folder
+     * @param conn
+     * @param boxName
+     * @param message
+     * @param personId { String } The person of the sender, null if unknown
+     * @param isComment { Boolean } Whether the message is added to an issue as a comment
+     * @returns { Promise } Resolved with the personId, the verdict is kept in `message.spam`
+     */
+    checkSpam(conn, boxName, message, personId, isComment) {
+        const rejectMessage = this.rejectMessageFn(conn, boxName);
+
+        return conn
+            .getMessageRest(message)
+            .checkSpam(personId, message, isComment)
+            .then(verdict => {
+                message.spam = verdict;
+                return personId;
+            }, verdict => {
+                message.spam = verdict;
+                return rejectMessage(message, 'spam').finally(() => Promise.reject());
+            });
+    }
+
+    /**
+     * Marks the issue of a sender exceeding the `flag` limit by `flagFields` and `flagNotice`
+     * @param message
+     * @param spam { Object } See `spam` in config.js
+     */
+    flagMessage(message, spam) {
+        const verdict = message.spam;
+        const key = verdict.keys[verdict.kind];
+        const notice = spam.flagNotice
+            .replace(/\{\{count\}\}/g, verdict.count)
+            .replace(/\{\{sender\}\}/g, key.slice(key.indexOf(':') + 1))
+            .replace(/\{\{timeSpan\}\}/g, spam.timeSpan);
+
+        message.flaggedFields = Object.assign({}, spam.flagFields);
+        message.body = this.addNotice(message.body, notice, []);
+    }
+
+    /**
+     * Creates the issue unless the sender exceeds the `merge` limit and already has an issue within `timeSpan`,
+     * then the message is added to that issue as a comment. Without such an issue the new one is flagged
+     * and the later messages are merged into it
+     * @param conn
+     * @param boxName
+     * @param message The message checked by `checkSpam`
+     * @param id { String } The personId
+     * @returns { Promise }
+     */
+    createIssueOrMerge(conn, boxName, message, id) {
+        const rest = conn.getMessageRest(message);
+        const spam = rest.config.spam;
+        const rejectMessage = this.rejectMessageFn(conn, boxName);
+        const verdict = message.spam;
+        const mergeIssueId = verdict.action === 'merge' && rateLimiter.getIssueId(verdict.keys, rest.getEndpoint(), spam.timeSpan);
+
+        if (mergeIssueId) {
+            message.log.info(`Msg uid: ${message.uid} merged into the issue ${mergeIssueId}`, { stage: 'spam' });
+            return this.doCreateComment(conn, boxName, { Id: mergeIssueId }, message);
+        }
+        if (verdict.action !== 'allow')
+            this.flagMessage(message, spam);
+
+        return rest
+            .createIssue(Object.assign({}, rest.makeIssue(message), { id }))
+            .catch(() => rejectMessage(message, 'error').then(() => Promise.reject()))
+            .then(issueId => {
+                rateLimiter.remember(verdict.keys, rest.getEndpoint(), issueId);
+                // A follow-up of a closed issue, see `checkClosedIssue`
+                const result = message.linkedIssueId ? { issueId, linkedIssueId: message.linkedIssueId } : { issueId };
+                return this.finishMessage(conn, boxName, message, result);
+            });
+    }
+
     doCreateIssue(conn, boxName, message) {
+        const rest = conn.getMessageRest(message);
         const createSystemIssue = rest.config.onPersonNotFound.createSystemIssue;
         const email = message.header.from[0];
-        const moveMessageOnSuccess = this.moveMessageFn(conn, conn.getSuccessBoxName(boxName));
-        const moveMessageOnFailure = this.moveMessageFn(conn, conn.getFailureBoxName(boxName));
+        const rejectMessage = this.rejectMessageFn(conn, boxName);
 
-        return this.getMessageBody(conn, message)
-            .then(() => rest.getPersonIdByEmail(email))
+        // The body is fetched by `processMessage`
+        return Promise.resolve()
+            .then(() => {
+                message.routedFields = router(rest.config.routing).route(message, boxName);
+                return this
+                    .resolveAttributes(conn, message)
+                    .then(() => rest.getPersonIdByEmail(email));
+            })
             .catch(() => {
                 if (createSystemIssue) {
-                    return rest
-                        .createIssue(rest.makeIssue(message))
-                        .catch(() => moveMessageOnFailure(message).finally(() => Promise.reject()))
-                        .then((issueId) => this.saveEmlAsAttachment(conn, message, issueId))
-                        .then((issueId) => this.saveMessageAttachments(conn, message, { type: 'ZIssue', id: issueId }))
-                        .then(() => moveMessageOnSuccess(message))
+                    // The unknown senders are limited by their address and domain
+                    return this
+                        .checkSpam(conn, boxName, message, null)
+                        .then(() => this.createIssueOrMerge(conn, boxName, message, null))
                         .finally(() => Promise.reject());
                 } else {
-                    return moveMessageOnFailure(message)
+                    return rejectMessage(message, 'unknownSender')
                         .finally(() => Promise.reject());
                 }
             })
-            .then(authorId => {
-                return rest
-                    .checkSpamByPersonId(authorId, message)
-                    .catch(() => moveMessageOnFailure(message).finally(() => Promise.reject()))
-                    .then(authorId => Promise.resolve(authorId));
-            })
-            .then(id => {
-                return rest
-                    .createIssue(Object.assign({}, rest.makeIssue(message), { id }))
-                    .catch(() => moveMessageOnFailure(message).then(() => Promise.reject()))
-                    .then((issueId) => this.saveEmlAsAttachment(conn, message, issueId))
-                    .then((issueId) => this.saveMessageAttachments(conn, message, { type: 'ZIssue', id: issueId }))
-                    .then(() => moveMessageOnSuccess(message));
-            });
+            .then(authorId => this.checkSpam(conn, boxName, message, authorId))
+            .then(id => this.createIssueOrMerge(conn, boxName, message, id));
     }
 
 }
 
-const servers = require('./config').servers;
+const config = configLoader();
 
-module.exports = new Multimap(servers);
+module.exports = new Multimap(config.servers, config.restConfig);
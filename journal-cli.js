@@ -0,0 +1,104 @@
+/**
+ * Searches the journal of the processed messages
+ *
+ * node journal-cli [--from text] [--subject text] [--since date] [--until date]
+ *                  [--outcome outcome] [--issue id] [--limit n] [--json] [--config path]
+ */
+'use strict';
+
+const parseArgs = require('./cli-args');
+
+const usage = `Usage: node journal-cli [options]
+
+Options:
+  --from <text>       The sender address contains the text
+  --subject <text>    The subject contains the text
+  --since <date>      Processed on or after the date, e.g. 2017-03-01 or 2017-03-01T10:00
+  --until <date>      Processed before the date, a date without the time includes the whole day
+  --outcome <name>    One of: %outcomes%
+  --issue <id>        Produced the issue or the comment
+  --limit <n>         Show the last n records only
+  --json              Print the records as JSON lines
+  --config <path>     The configuration file, see README.md
+  --help              Show this help`;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const fail = message => {
+    console.error(message);
+    process.exit(1);
+};
+
+/**
+ * @param value { String }
+ * @param name { String } The option name
+ * @param wholeDay { Boolean } Move a date without the time to the start of the next day
+ * @returns { Date }
+ */
+function parseDate(value, name, wholeDay) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    // A date without the time is the local midnight, like the one with the time
+    const time = Date.parse(dateOnly ? `${value}T00:00` : value);
+    if (isNaN(time))
+        fail(`Invalid date '${value}' for --${name}`);
+
+    return new Date(dateOnly && wholeDay ? time + DAY : time);
+}
+
+function format(record) {
+    const produced = record.commentId ? `${record.issueId}/${record.commentId}` : record.issueId;
+    const attachments = record.attachments || [];
+    const failed = attachments.filter(attachment => !attachment.saved).length;
+
+    return [
+        record.on,
+        record.outcome + (record.reason ? ` (${record.reason})` : ''),
+        produced || '-',
+        `${record.server}/${record.mailbox}#${record.uid}`,
+        record.from,
+        JSON.stringify(record.subject || ''),
+        `attachments: ${attachments.length}${failed ? `, failed: ${failed}` : ''}`,
+        `${record.timings ? record.timings.total : '?'} ms`
+    ].join('  ');
+}
+
+let options;
+try {
+    // --config is read by the configuration loader as well
+    options = parseArgs(process.argv.slice(2), ['from', 'subject', 'since', 'until', 'outcome', 'issue', 'limit'], ['json', 'help']);
+} catch (e) {
+    fail(`${e.message}\n\n${usage.replace('%outcomes%', '...')}`);
+}
+
+let journal;
+try {
+    journal = require('./journal')();
+} catch (e) {
+    fail(e.message);
+}
+
+if (options.help) {
+    console.log(usage.replace('%outcomes%', journal.outcomes.join(', ')));
+    process.exit(0);
+}
+
+if (options.outcome && journal.outcomes.indexOf(options.outcome) === -1)
+    fail(`Invalid outcome '${options.outcome}', expected one of: ${journal.outcomes.join(', ')}`);
+
+const limit = options.limit && Number(options.limit);
+if (options.limit && !(limit > 0 && Math.floor(limit) === limit))
+    fail(`Invalid limit '${options.limit}'`);
+
+const records = journal.search({
+    from: options.from,
+    subject: options.subject,
+    since: options.since && parseDate(options.since, 'since', false),
+    until: options.until && parseDate(options.until, 'until', true),
+    outcome: options.outcome,
+    issueId: options.issue
+});
+const shown = limit ? records.slice(-limit) : records;
+
+shown.forEach(record => console.log(options.json ? JSON.stringify(record) : format(record)));
+if (!options.json)
+    console.log(`${shown.length} of ${records.length} record(s)`);
@@ -0,0 +1,137 @@
+/**
+ * Journal of the processed messages
+ *
+ * Every message reaching its final outcome gets a record: the sender, the subject, where it came from,
+ * the outcome, the produced issue or comment, the attachments and the timings.
+ * Unlike the ledger, the journal is never read by the processing, only searched with journal-cli.js.
+ * The records are appended to a JSON lines file, the records older than `retentionDays` are dropped on startup
+ */
+'use strict';
+
+const fs        = require('fs');
+const path      = require('path');
+const logger    = require('./logger')();
+const config    = require('./config-loader')().restConfig;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The outcomes of the messages left in the failure folders
+const failures = ['spam', 'unknownSender', 'restError', 'moveError', 'infected', 'scanError'];
+// All the outcomes of the messages
+const outcomes = ['issue', 'comment', 'quarantined'].concat(failures);
+
+class Journal {
+    constructor(options) {
+        this.filename = path.resolve(options.filename);
+        this.retentionDays = options.retentionDays;
+        this.outcomes = outcomes;
+        this.failures = failures;
+    }
+
+    ensureDir() {
+        try {
+            fs.mkdirSync(path.dirname(this.filename));
+        } catch (e) {
+            if (e.code !== 'EEXIST')
+                throw e;
+        }
+    }
+
+    /**
+     * Reads all the records, the broken lines are skipped
+     * @returns { Array }
+     */
+    read() {
+        let data;
+        try {
+            data = fs.readFileSync(this.filename, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT')
+                throw e;
+            return [];
+        }
+
+        return data
+            .split('\n')
+            .reduce((records, line) => {
+                try {
+                    return line ? records.concat(JSON.parse(line)) : records;
+                } catch (e) {
+                    // A partially written line left by a crash
+                    return records;
+                }
+            }, []);
+    }
+
+    /**
+     * Drops the records older than `retentionDays`
+     */
+    compact() {
+        const expiresOn = Date.now() - this.retentionDays * DAY;
+
+        try {
+            const records = this.read();
+            const lines = records
+                .filter(record => Date.parse(record.on) >= expiresOn)
+                .map(record => JSON.stringify(record) + '\n');
+
+            if (lines.length === records.length)
+                return;
+
+            this.ensureDir();
+            const tmp = this.filename + '.tmp';
+            fs.writeFileSync(tmp, lines.join(''));
+            fs.renameSync(tmp, this.filename);
+        } catch (e) {
+            logger.error(`Error compacting the journal '${this.filename}': ${e}`);
+        }
+    }
+
+    /**
+     * @param record { Object }
+     */
+    add(record) {
+        try {
+            this.ensureDir();
+            fs.appendFileSync(this.filename, JSON.stringify(record) + '\n');
+        } catch (e) {
+            logger.error(`Error writing the journal record for msg uid: ${record.uid} -> ${e}`);
+        }
+    }
+
+    /**
+     * @returns { Map } Message-ID -> the latest record of the message
+     */
+    getLatestByMessageId() {
+        return this
+            .read()
+            .reduce((latest, record) => latest.set(record.messageId, record), new Map());
+    }
+
+    /**
+     * Finds the records matching all the given conditions
+     * @param filter { Object } { from, subject, since, until, outcome, issueId }:
+     * `from` and `subject` are case insensitive substrings, `since` and `until` are dates,
+     * `issueId` matches either the issue or the comment id
+     * @returns { Array } The records in the order they were written
+     */
+    search(filter) {
+        const contains = (value, part) => String(value || '').toLowerCase().indexOf(part.toLowerCase()) !== -1;
+
+        return this
+            .read()
+            .filter(record => {
+                const on = Date.parse(record.on);
+                return (!filter.from || contains(record.from, filter.from)) &&
+                    (!filter.subject || contains(record.subject, filter.subject)) &&
+                    (!filter.since || on >= filter.since.getTime()) &&
+                    (!filter.until || on < filter.until.getTime()) &&
+                    (!filter.outcome || record.outcome === filter.outcome) &&
+                    (!filter.issueId || record.issueId === filter.issueId || record.commentId === filter.issueId);
+            });
+    }
+}
+
+const journal = new Journal(config.journal);
+
+module.exports = () => journal;
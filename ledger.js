@@ -0,0 +1,266 @@
+/**
+ * Durable ledger of the processed messages
+ *
+ * Every message that produced an issue or a comment gets a record telling
+ * which processing steps are already done, so an interrupted message is finished
+ * on the next pass instead of creating a duplicate issue.
+ * The records are appended to a JSON lines file and the file is compacted on startup
+ */
+'use strict';
+
+const fs        = require('fs');
+const path      = require('path');
+const logger    = require('./logger')();
+const config    = require('./config-loader')().restConfig;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether the record was made in the same HPSM, see `findIssueId`
+ * @param record
+ * @param target { Object } { server, endpoint }
+ * @returns { Boolean }
+ */
+const isSameTarget = (record, target) => record.endpoint ? record.endpoint === target.endpoint : record.server === target.server;
+
+class Ledger {
+    constructor(options) {
+        this.filename = path.resolve(options.filename);
+        this.retentionDays = options.retentionDays;
+        this.retryDelay = options.retryDelay || 60;
+        this.maxRetryDelay = options.maxRetryDelay || 3600;
+        // key -> record
+        this.records = new Map();
+        // Message-ID -> key
+        this.messageIds = new Map();
+        // Message-ID of the notification sent to the sender -> key, the replies quote it
+        this.notificationIds = new Map();
+        // The lines of the file, the file is not rewritten by `compact` if no line is dropped
+        this.lineCount = 0;
+
+        this.load();
+    }
+
+    /**
+     * Makes the ledger key of the message location
+     * @param location { Object } { server, mailbox, uidvalidity, uid }
+     * @returns { String }
+     */
+    makeKey(location) {
+        return [location.server, location.mailbox, location.uidvalidity, location.uid].join('|');
+    }
+
+    getMessageId(message) {
+        const header = message.header && message.header['message-id'];
+        return header && header[0] ? header[0].trim() : '';
+    }
+
+    load() {
+        let data;
+        try {
+            data = fs.readFileSync(this.filename, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT')
+                logger.error(`Error reading the ledger '${this.filename}': ${e}`);
+            return;
+        }
+
+        data
+            .split('\n')
+            .forEach(line => {
+                if (!line)
+                    return;
+                this.lineCount++;
+                try {
+                    this.put(JSON.parse(line));
+                } catch (e) {
+                    // A partially written line left by a crash
+                    logger.error(`Skipping a broken ledger line: ${line}`);
+                }
+            });
+
+        logger.info(`Loaded ${this.records.size} record(s) from the ledger '${this.filename}'`);
+    }
+
+    /**
+     * Rewrites the ledger file leaving only the latest state of the records
+     * younger than `retentionDays`, see server.js
+     */
+    compact() {
+        const expiresOn = Date.now() - this.retentionDays * DAY;
+        const lines = [];
+
+        this.records.forEach((record, key) => {
+            if (record.updatedOn < expiresOn) {
+                this.remove(record);
+            } else {
+                lines.push(JSON.stringify(record) + '\n');
+            }
+        });
+
+        if (lines.length === this.lineCount)
+            return;
+
+        try {
+            this.ensureDir();
+            const tmp = this.filename + '.tmp';
+            fs.writeFileSync(tmp, lines.join(''));
+            fs.renameSync(tmp, this.filename);
+            this.lineCount = lines.length;
+        } catch (e) {
+            logger.error(`Error compacting the ledger '${this.filename}': ${e}`);
+        }
+    }
+
+    ensureDir() {
+        try {
+            fs.mkdirSync(path.dirname(this.filename));
+        } catch (e) {
+            if (e.code !== 'EEXIST')
+                throw e;
+        }
+    }
+
+    put(record) {
+        this.records.set(record.key, record);
+        if (record.messageId)
+            this.messageIds.set(record.messageId, record.key);
+        if (record.notificationId)
+            this.notificationIds.set(record.notificationId, record.key);
+    }
+
+    remove(record) {
+        this.records.delete(record.key);
+        if (record.messageId && this.messageIds.get(record.messageId) === record.key)
+            this.messageIds.delete(record.messageId);
+        if (record.notificationId && this.notificationIds.get(record.notificationId) === record.key)
+            this.notificationIds.delete(record.notificationId);
+    }
+
+    /**
+     * Finds the record of the message either by its location or by its Message-ID
+     * @param message The message having `location` and `header`
+     * @returns { Object } The record or null
+     */
+    find(message) {
+        const record = this.records.get(this.makeKey(message.location));
+        if (record)
+            return record;
+
+        const key = this.messageIds.get(this.getMessageId(message));
+        return key ? this.records.get(key) : null;
+    }
+
+    /**
+     * Finds a record by the Message-ID of its message or of the notification sent for it
+     * @param messageId { String }
+     * @returns { Object } The record or null
+     */
+    findByMessageId(messageId) {
+        const key = this.messageIds.get(messageId) || this.notificationIds.get(messageId);
+        return key ? this.records.get(key) : null;
+    }
+
+    /**
+     * Finds the issue produced by any of the given messages in the same HPSM: the servers
+     * and the mailboxes may have their own REST configuration
+     * @param messageIds { Array } Message-IDs in the order of preference
+     * @param target { Object } { server, endpoint }, the records made before the endpoint was kept
+     * are matched by the server
+     * @returns { String } The issueId or an empty string
+     */
+    findIssueId(messageIds, target) {
+        for (let i = 0; i < messageIds.length; i++) {
+            const record = this.findByMessageId(messageIds[i]);
+            if (record && record.issueId && isSameTarget(record, target))
+                return record.issueId;
+        }
+        return '';
+    }
+
+    /**
+     * Finds the issue created for the replies to the closed issue, see `closedIssues` in config.js
+     * @param linkedIssueId { String } The closed issue
+     * @param target { Object } { server, endpoint }, see `findIssueId`
+     * @returns { String } The first follow-up issueId or an empty string
+     */
+    findFollowUpIssueId(linkedIssueId, target) {
+        let issueId = '';
+        this.records.forEach(record => {
+            if (!issueId && record.linkedIssueId === linkedIssueId && !record.commentId && isSameTarget(record, target))
+                issueId = record.issueId;
+        });
+        return issueId;
+    }
+
+    /**
+     * Merges the fields into the record of the message and persists it
+     * @param message The message having `location` and `header`
+     * @param fields { Object } Any of { issueId, commentId, linkedIssueId, endpoint, attempts, retryOn, commands, eml, attachments,
+     * notified, notificationId, moved }
+     * @returns { Object } The updated record
+     */
+    update(message, fields) {
+        const location = message.location;
+        const key = this.makeKey(location);
+        const found = this.find(message);
+        // A copy of a known message found in another place inherits its results, but not the move
+        const inherited = found && found.key !== key ? Object.assign({}, found, { moved: false }) : found;
+        const record = Object.assign({}, inherited, location, fields, {
+            key,
+            messageId: this.getMessageId(message),
+            updatedOn: Date.now()
+        });
+
+        this.put(record);
+        try {
+            this.ensureDir();
+            fs.appendFileSync(this.filename, JSON.stringify(record) + '\n');
+            this.lineCount++;
+        } catch (e) {
+            logger.error(`Error writing the ledger record for msg uid: ${location.uid} -> ${e}`);
+        }
+        return record;
+    }
+
+    /**
+     * Records an attempt to finish the processing of the message. Should it fail, the next attempt
+     * is not made before `retryOn`: the delay doubles with every attempt from `retryDelay` up to `maxRetryDelay` seconds
+     * @param message The message having `location` and `header`
+     * @param fields { Object } See `update`
+     * @returns { Object } The updated record
+     */
+    startAttempt(message, fields) {
+        const found = this.find(message);
+        const attempts = (found && found.attempts || 0) + 1;
+        const delay = Math.min(this.retryDelay * Math.pow(2, attempts - 1), this.maxRetryDelay);
+        return this.update(message, Object.assign({}, fields, { attempts, retryOn: Date.now() + delay * 1000 }));
+    }
+
+    /**
+     * Lists the UIDs of the messages in the mailbox whose processing was not finished
+     * and which are due for another attempt, see `startAttempt`, the longest waiting first
+     * @param server { String }
+     * @param mailbox { String }
+     * @param uidvalidity { Number }
+     * @returns { Array }
+     */
+    getUnfinishedUids(server, mailbox, uidvalidity) {
+        const now = Date.now();
+        const due = [];
+        this.records.forEach(record => {
+            if (record.issueId && !record.moved && record.server === server && record.mailbox === mailbox &&
+                record.uidvalidity === uidvalidity && !(record.retryOn > now)) {
+                due.push(record);
+            }
+        });
+        // The ones waiting longer go first, so a few failing messages do not take every batch
+        return due
+            .sort((a, b) => (a.retryOn || 0) - (b.retryOn || 0))
+            .map(record => record.uid);
+    }
+}
+
+const ledger = new Ledger(config.ledger);
+
+module.exports = () => ledger;
@@ -1,23 +1,146 @@
 /**
  * Universal logger for info & error messages
+ *
+ * The records are JSON objects. The records of a message carry its context:
+ * `correlationId`, `server`, `host`, `mailbox`, `uid`, `messageId`, `issueId`, `commentId`, `stage`
+ *
+ * The logger has no targets until `setup` is called by server.js, so the tools printing to stdout,
+ * like journal-cli.js, neither write the log files nor get the records mixed into their output
  */
 'use strict';
 
-const winston = require('winston');
-
-var logger = new (winston.Logger)({
-    transports: [
-        new (winston.transports.File)({
-            name: 'info-file',
-            filename: 'logs/imap-info.log',
-            level: 'info'
-        }),
-        new (winston.transports.File)({
-            name: 'error-file',
-            filename: 'logs/imap-error.log',
-            level: 'error'
+const fs        = require('fs');
+const path      = require('path');
+const crypto    = require('crypto');
+const inspect   = require('util').inspect;
+const winston   = require('winston');
+
+const ensureDir = dir => {
+    try {
+        fs.mkdirSync(dir);
+    } catch (e) {
+        if (e.code !== 'EEXIST')
+            throw e;
+    }
+};
+
+const transports = {
+    file: (options, level) => {
+        ensureDir(options.dir);
+        return [
+            new (winston.transports.File)({
+                name: 'info-file',
+                filename: path.join(options.dir, 'imap-info.log'),
+                level: level,
+                json: true,
+                maxsize: options.maxsize,
+                maxFiles: options.maxFiles,
+                tailable: true
+            }),
+            new (winston.transports.File)({
+                name: 'error-file',
+                filename: path.join(options.dir, 'imap-error.log'),
+                level: 'error',
+                json: true,
+                maxsize: options.maxsize,
+                maxFiles: options.maxFiles,
+                tailable: true
+            })
+        ];
+    },
+    stdout: (options, level) => [
+        new (winston.transports.Console)({
+            level: level,
+            json: true,
+            stringify: true,
+            timestamp: true
         })
-    ]
-});
+    ],
+    syslog: (options, level) => {
+        // Registers winston.transports.Syslog
+        require('winston-syslog');
+        return [
+            new (winston.transports.Syslog)(Object.assign({ level: level }, options))
+        ];
+    }
+};
+
+// The records are dropped while there are no transports
+var logger = new (winston.Logger)({ transports: [] });
+
+/**
+ * The logger adding its fields to every record
+ */
+class Context {
+    constructor(fields, parent) {
+        this.fields = Object.assign({}, fields);
+        this.parent = parent;
+    }
+
+    /**
+     * @returns { Object } The fields of this logger and of its parents
+     */
+    getFields() {
+        return Object.assign(this.parent ? this.parent.getFields() : {}, this.fields);
+    }
+
+    /**
+     * Adds the fields known later, e.g. the issueId
+     * @param fields { Object }
+     * @returns { Context }
+     */
+    set(fields) {
+        Object.assign(this.fields, fields);
+        return this;
+    }
+
+    /**
+     * Makes a logger having the fields of this one, including the ones set later, and some more
+     * @param fields { Object }
+     * @returns { Context }
+     */
+    child(fields) {
+        return new Context(fields, this);
+    }
+
+    log(level, message, meta) {
+        const text = typeof message === 'string' ? message : inspect(message);
+        logger.log(level, text, Object.assign(this.getFields(), meta));
+    }
+
+    error(message, meta) {
+        this.log('error', message, meta);
+    }
+
+    info(message, meta) {
+        this.log('info', message, meta);
+    }
+
+    debug(message, meta) {
+        this.log('debug', message, meta);
+    }
+}
+
+/**
+ * Adds the targets of the configuration, the file targets create their directory
+ * @param config { Object } See `logConfig` in config.js
+ */
+logger.setup = (config) => {
+    config.targets
+        .reduce((all, target) => all.concat(transports[target](config[target] || {}, config.level)), [])
+        .forEach(transport => logger.add(transport, null, true));
+};
+
+/**
+ * @param fields { Object }
+ * @returns { Context }
+ */
+logger.context = (fields) => new Context(fields);
+
+/**
+ * Makes a new id tying together the records of a message
+ * @returns { String }
+ */
+logger.correlationId = () => crypto.randomBytes(8).toString('hex');
 
 module.exports = () => logger;
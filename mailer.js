@@ -0,0 +1,271 @@
+/**
+ * Outgoing notifications to the senders of the processed messages
+ */
+'use strict';
+
+const fs            = require('fs');
+const path          = require('path');
+const nodemailer    = require('nodemailer');
+const logger        = require('./logger')();
+
+const MINUTE = 60 * 1000;
+
+// The templates of the rejection notices by the reason
+const rejectionTemplates = {
+    unknownSender: 'rejectedUnknownSender',
+    spam: 'rejectedSpam',
+    error: 'rejectedError'
+};
+
+/**
+ * Remembers when the senders got the last rejection notice, so a sender
+ * is never notified more often than once per interval, even after a restart
+ */
+class NoticeLog {
+    constructor(filename) {
+        this.filename = path.resolve(filename);
+        this.notifiedOn = {};
+
+        try {
+            this.notifiedOn = JSON.parse(fs.readFileSync(this.filename, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT')
+                logger.error(`Error reading the notice log '${this.filename}': ${e}`);
+        }
+    }
+
+    wasNotified(address, interval) {
+        const notifiedOn = this.notifiedOn[address];
+        return !!notifiedOn && Date.now() - notifiedOn < interval * MINUTE;
+    }
+
+    /**
+     * Records the notice and forgets the notices older than the interval
+     * @param address { String }
+     * @param interval { Number } Minutes
+     */
+    add(address, interval) {
+        const now = Date.now();
+        this.notifiedOn[address] = now;
+        Object
+            .keys(this.notifiedOn)
+            .forEach(key => {
+                if (now - this.notifiedOn[key] >= interval * MINUTE)
+                    delete this.notifiedOn[key];
+            });
+
+        try {
+            try {
+                fs.mkdirSync(path.dirname(this.filename));
+            } catch (e) {
+                if (e.code !== 'EEXIST')
+                    throw e;
+            }
+            fs.writeFileSync(this.filename, JSON.stringify(this.notifiedOn));
+        } catch (e) {
+            logger.error(`Error writing the notice log '${this.filename}': ${e}`);
+        }
+    }
+}
+
+// The servers sharing the same file share the same log
+const noticeLogs = {};
+const getNoticeLog = filename => noticeLogs[filename] || (noticeLogs[filename] = new NoticeLog(filename));
+
+class Mailer {
+    /**
+     * @param server The server configuration having `smtpConfig` and `notifications`
+     */
+    constructor(server) {
+        this.config = Object.assign({
+            locale: 'ru',
+            issueCreated: true,
+            commentAdded: true,
+            closedIssueComment: true,
+            rejections: [],
+            rejectionInterval: 60,
+            noticeLog: 'data/notices.json'
+        }, server.notifications);
+
+        if (!this.config.from)
+            throw new Error('Fatal error: the sender address of the notifications is not configured.');
+
+        this.templates = require(`./templates/${this.config.locale}`);
+        this.transport = nodemailer.createTransport(server.smtpConfig);
+        this.noticeLog = getNoticeLog(this.config.noticeLog);
+    }
+
+    /**
+     * Substitutes the `{{name}}` placeholders of the template
+     * @param template { String }
+     * @param vars { Object }
+     * @returns { String }
+     */
+    render(template, vars) {
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+            return vars[name] !== undefined && vars[name] !== null ? vars[name] : '';
+        });
+    }
+
+    /**
+     * Strips the reply prefixes and the issueId from the subject of the original message,
+     * so the notification subject contains the issueId exactly once
+     * @param subject { String }
+     * @returns { String }
+     */
+    cleanSubject(subject) {
+        return String(subject || '')
+            .replace(/\[?SRQ\d{12}\]?/g, '')
+            .replace(/^\s*((re|fw|fwd|отв|ответ|пересл)(\[\d+\])?\s*:\s*)+/i, '')
+            .replace(/\s{2,}/g, ' ')
+            .trim();
+    }
+
+    getHeader(message, name) {
+        const values = message.header[name];
+        return values && values[0] ? values[0].trim() : '';
+    }
+
+    /**
+     * Extracts the bare address from a header value like `Name <user@host>`
+     * @param value { String }
+     * @returns { String } The lowercase address
+     */
+    getAddress(value) {
+        const matched = String(value).match(/<([^<>]*)>/);
+        return (matched ? matched[1] : String(value)).trim().toLowerCase();
+    }
+
+    /**
+     * Checks whether the message was sent by an automatic system, that must never be answered
+     * @param message
+     * @returns { Boolean }
+     */
+    isAutoGenerated(message) {
+        const autoSubmitted = this.getHeader(message, 'auto-submitted').toLowerCase();
+        const precedence = this.getHeader(message, 'precedence').toLowerCase();
+        const sender = this.getAddress(this.getHeader(message, 'from'));
+        const autoHeaders = ['list-id', 'x-autoreply', 'x-autorespond', 'x-auto-response-suppress'];
+
+        return (!!autoSubmitted && autoSubmitted !== 'no') ||
+            ['bulk', 'junk', 'list', 'auto_reply'].indexOf(precedence) !== -1 ||
+            autoHeaders.some(header => !!message.header[header]) ||
+            this.getHeader(message, 'return-path') === '<>' ||
+            /^(mailer-daemon|postmaster|no-?reply|do-?not-?reply)@/.test(sender) ||
+            // Never answer our own notifications
+            sender === this.getAddress(this.config.from);
+    }
+
+    /**
+     * Sends the notification rendered from the template as a reply to the message
+     * @param name { String } The name of the template
+     * @param message The message being replied to
+     * @param vars { Object } The template variables
+     * @returns { Promise } Resolved with the Message-ID of the notification like `<id@host>`, as quoted by the replies
+     */
+    send(name, message, vars) {
+        const log = message.log || logger;
+        const template = this.templates[name];
+        if (!template) {
+            return Promise.reject(`The template '${name}' is not defined for the locale '${this.config.locale}'`);
+        }
+
+        if (this.isAutoGenerated(message)) {
+            log.info(`No '${name}' notification for msg uid: ${message.uid}, the message is auto-generated`, { stage: 'notify' });
+            return Promise.resolve();
+        }
+
+        const messageId = this.getHeader(message, 'message-id');
+        const references = (message.header.references || [])
+            .join(' ')
+            .match(/<[^<>\s]+>/g) || [];
+        const data = Object.assign({ subject: this.cleanSubject(this.getHeader(message, 'subject')) }, vars);
+        const to = this.getHeader(message, 'reply-to') || this.getHeader(message, 'from');
+
+        const mail = {
+            from: this.config.from,
+            to,
+            subject: this.render(template.subject, data),
+            text: this.render(template.text, data),
+            headers: {
+                // RFC 3834: the notifications must not be answered automatically
+                'Auto-Submitted': 'auto-replied'
+            }
+        };
+
+        if (messageId) {
+            mail.inReplyTo = messageId;
+            mail.references = references.concat(messageId);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.transport.sendMail(mail, (err, info) => {
+                if (err) {
+                    log.error(`Error sending the '${name}' notification to ${to}: ${err}`, { stage: 'notify' });
+                    reject(err);
+                    return;
+                }
+
+                log.info(`Sent the '${name}' notification to ${to}`, { stage: 'notify' });
+                // Some versions of nodemailer leave out the angle brackets
+                const sentId = info && info.messageId;
+                resolve(sentId && sentId[0] !== '<' ? `<${sentId}>` : sentId);
+            });
+        });
+    }
+
+    sendIssueCreated(message, issueId) {
+        if (!this.config.issueCreated)
+            return Promise.resolve();
+
+        return this.send('issueCreated', message, { issueId });
+    }
+
+    sendCommentAdded(message, issueId, commentId) {
+        if (!this.config.commentAdded)
+            return Promise.resolve();
+
+        return this.send('commentAdded', message, { issueId, commentId });
+    }
+
+    sendClosedIssueComment(message, issueId, commentId) {
+        if (!this.config.closedIssueComment)
+            return Promise.resolve();
+
+        return this.send('closedIssueComment', message, { issueId, commentId });
+    }
+
+    /**
+     * Tells the sender why the message was moved to the failure folder. The notice is sent
+     * only for the reasons listed in `rejections` and at most once per `rejectionInterval`
+     * minutes to the same sender
+     * @param message
+     * @param reason { String } One of `unknownSender`, `spam`, `error`
+     * @param vars { Object } The template variables
+     * @returns { Promise }
+     */
+    sendRejection(message, reason, vars) {
+        const interval = this.config.rejectionInterval;
+        const address = this.getAddress(this.getHeader(message, 'reply-to') || this.getHeader(message, 'from'));
+
+        if (this.config.rejections.indexOf(reason) === -1 || this.isAutoGenerated(message))
+            return Promise.resolve();
+
+        if (this.noticeLog.wasNotified(address, interval)) {
+            const text = `No '${reason}' notice for msg uid: ${message.uid}, ${address} was notified during the last ${interval} minutes`;
+            (message.log || logger).info(text, { stage: 'notify' });
+            return Promise.resolve();
+        }
+
+        // Recorded before sending, since the messages of the same sender may be processed in parallel
+        this.noticeLog.add(address, interval);
+        return this.send(rejectionTemplates[reason], message, vars);
+    }
+}
+
+/**
+ * Makes a mailer for the server, if it has the outgoing mail configured
+ * @param server The server configuration
+ * @returns { Mailer } The mailer or null
+ */
+module.exports = (server) => server.smtpConfig ? new Mailer(server) : null;
@@ -0,0 +1,36 @@
+/**
+ * Merges the configuration overrides into the base configuration
+ */
+'use strict';
+
+const isPlainObject = obj => Object.prototype.toString.call(obj) === '[object Object]';
+
+/**
+ * Merges the plain objects recursively, so an override may change a single key
+ * of a nested setting like `paths` or `defaultIssueAttrs`. Arrays, regular expressions
+ * and other values of the overrides replace the base values as a whole.
+ * Neither the base nor the overrides get modified
+ * @param base { Object }
+ * @param overrides { Object } Any number of the overrides applied in order, can be undefined
+ * @returns { Object } The merged copy
+ */
+function mergeConfig(base) {
+    const overrides = Array.prototype.slice.call(arguments, 1);
+
+    return overrides.reduce((result, override) => {
+        if (!isPlainObject(override))
+            return result;
+
+        Object
+            .keys(override)
+            .forEach(key => {
+                const value = override[key];
+                result[key] = isPlainObject(value) && isPlainObject(result[key]) ?
+                    mergeConfig(result[key], value) :
+                    value;
+            });
+        return result;
+    }, Object.assign({}, base));
+}
+
+module.exports = mergeConfig;
@@ -0,0 +1,211 @@
+/**
+ * Metrics of the mail processing pipeline in the Prometheus text format
+ */
+'use strict';
+
+/**
+ * Escapes a label value according to the text exposition format
+ * @param value
+ * @returns { String }
+ */
+const escapeLabel = value => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+
+const formatLabels = labels => {
+    const keys = Object.keys(labels || {});
+    if (!keys.length)
+        return '';
+    return '{' + keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',') + '}';
+};
+
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        // formatted labels -> { labels, value }
+        this.series = new Map();
+    }
+
+    get(labels) {
+        const key = formatLabels(labels);
+        if (!this.series.has(key))
+            this.series.set(key, { labels: Object.assign({}, labels), value: this.initialValue() });
+        return this.series.get(key);
+    }
+
+    initialValue() {
+        return 0;
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    renderSeries() {
+        const lines = [];
+        this.series.forEach((item, key) => lines.push(`${this.name}${key} ${item.value}`));
+        return lines;
+    }
+
+    render() {
+        return [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`
+        ].concat(this.renderSeries()).join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, 'counter');
+    }
+
+    inc(labels, value) {
+        this.get(labels).value += value === undefined ? 1 : value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help) {
+        super(name, help, 'gauge');
+    }
+
+    set(labels, value) {
+        this.get(labels).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets) {
+        super(name, help, 'histogram');
+        this.buckets = buckets.slice(0).sort((a, b) => a - b);
+    }
+
+    initialValue() {
+        return {
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        };
+    }
+
+    observe(labels, value) {
+        const item = this.get(labels).value;
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound)
+                item.counts[i]++;
+        });
+        item.sum += value;
+        item.count++;
+    }
+
+    /**
+     * Starts measuring the duration in seconds
+     * @param labels { Object }
+     * @returns { Function } Call it to observe the duration
+     */
+    startTimer(labels) {
+        const start = process.hrtime();
+        return () => {
+            const diff = process.hrtime(start);
+            this.observe(labels, diff[0] + diff[1] / 1e9);
+        };
+    }
+
+    renderSeries() {
+        const lines = [];
+        this.series.forEach(item => {
+            const value = item.value;
+            this.buckets.forEach((bound, i) => {
+                const labels = Object.assign({}, item.labels, { le: bound });
+                lines.push(`${this.name}_bucket${formatLabels(labels)} ${value.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(Object.assign({}, item.labels, { le: '+Inf' }))} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(item.labels)} ${value.sum}`);
+            lines.push(`${this.name}_count${formatLabels(item.labels)} ${value.count}`);
+        });
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+        this.collectors = [];
+    }
+
+    add(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.add(new Counter(name, help));
+    }
+
+    gauge(name, help) {
+        return this.add(new Gauge(name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.add(new Histogram(name, help, buckets));
+    }
+
+    /**
+     * Registers a function updating the gauges right before they are rendered
+     * @param collector { Function }
+     */
+    onCollect(collector) {
+        this.collectors.push(collector);
+    }
+
+    render() {
+        this.collectors.forEach(collector => collector());
+        return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+const registry = new Registry();
+
+const metrics = {
+    registry,
+
+    messagesFetched: registry.counter('imap_hpsm_messages_fetched_total',
+        'Messages fetched from the mailboxes'),
+    issuesCreated: registry.counter('imap_hpsm_issues_created_total',
+        'Issues created from the messages'),
+    commentsCreated: registry.counter('imap_hpsm_comments_created_total',
+        'Comments created from the messages'),
+    attachmentsSaved: registry.counter('imap_hpsm_attachments_saved_total',
+        'Attachments saved to the issues and the comments'),
+    attachmentsFailed: registry.counter('imap_hpsm_attachments_failed_total',
+        'Attachments failed to be saved'),
+    attachmentsSkipped: registry.counter('imap_hpsm_attachments_skipped_total',
+        'Attachments skipped by the reason: inline, type, fileSize, messageSize, infected'),
+    attachmentsScanned: registry.counter('imap_hpsm_attachments_scanned_total',
+        'Attachments and original messages scanned for malware by the result: clean, infected, error'),
+    messagesRejected: registry.counter('imap_hpsm_messages_rejected_total',
+        'Messages moved to the failure or the quarantine folder by the reason: ' +
+        'unknownSender, spam, error, infected, scanError, quarantined'),
+    moveFailures: registry.counter('imap_hpsm_move_failures_total',
+        'Messages failed to be moved to the success or the failure folder'),
+
+    restDuration: registry.histogram('imap_hpsm_rest_request_duration_seconds',
+        'Latency of the REST requests by the endpoint',
+        [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]),
+    messageDuration: registry.histogram('imap_hpsm_message_processing_duration_seconds',
+        'Time to process a fetched message until it is moved or given up',
+        [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]),
+
+    connectionUp: registry.gauge('imap_hpsm_connection_up',
+        'Whether the IMAP connection is authenticated (1) or not (0)'),
+    connectionRunning: registry.gauge('imap_hpsm_connection_running',
+        'Whether the connection is processing the mailboxes right now'),
+    reconnectAttempts: registry.gauge('imap_hpsm_reconnect_attempts',
+        'Reconnect attempts since the connection was lost, 0 when connected')
+};
+
+module.exports = () => metrics;
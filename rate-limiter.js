@@ -0,0 +1,266 @@
+/**
+ * Sliding-window rate limits of the senders, see `spam` in config.js
+ *
+ * Every checked message is counted once for each key of its sender: the person, the address and the domain.
+ * The counts and the last issue created for the person and the address in every HPSM instance are appended to a JSON lines file
+ * and the file is compacted on startup, so the windows survive restarts
+ */
+'use strict';
+
+const fs        = require('fs');
+const path      = require('path');
+const logger    = require('./logger')();
+const ledger    = require('./ledger')();
+const config    = require('./config-loader')().restConfig;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// In the order of severity
+const actions = ['flag', 'merge', 'reject'];
+
+// The issues are remembered for the sender only, the domain is shared by the other senders
+const issueKinds = ['person', 'address'];
+
+class RateLimiter {
+    constructor(options) {
+        this.filename = path.resolve(options.filename);
+        this.retentionDays = options.retentionDays;
+        // key -> { hits: [{ at, id }], issueId, issuedOn }
+        this.states = new Map();
+        // The lines of the file, the file is not rewritten by `compact` if no line is dropped
+        this.lineCount = 0;
+
+        this.load();
+    }
+
+    /**
+     * Makes the keys of the sender, like `person:PRS000000000001`, `address:bob@example.com`, `domain:example.com`
+     * @param senders { Object } { person, address, domain }, the empty ones are skipped
+     * @param scope { String } Optional, the prefix of the keys counted separately, like `comment:person:PRS000000000001`
+     * @returns { Object } kind -> key
+     */
+    makeKeys(senders, scope) {
+        const prefix = scope ? `${scope}:` : '';
+        return Object
+            .keys(senders)
+            .filter(kind => !!senders[kind])
+            .reduce((result, kind) => {
+                result[kind] = `${prefix}${kind}:${senders[kind]}`;
+                return result;
+            }, {});
+    }
+
+    /**
+     * The message is counted once, even if it is checked again, e.g. when reprocessed
+     * @param message The message having `location` and `header`
+     * @returns { String }
+     */
+    getMessageKey(message) {
+        return ledger.getMessageId(message) || ledger.makeKey(message.location);
+    }
+
+    getState(key) {
+        let state = this.states.get(key);
+        if (!state) {
+            state = { hits: [], issueId: '', issuedOn: 0 };
+            this.states.set(key, state);
+        }
+        return state;
+    }
+
+    load() {
+        let data;
+        try {
+            data = fs.readFileSync(this.filename, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT')
+                logger.error(`Error reading the rate limits '${this.filename}': ${e}`);
+            return;
+        }
+
+        data
+            .split('\n')
+            .forEach(line => {
+                if (!line)
+                    return;
+                this.lineCount++;
+                try {
+                    this.apply(JSON.parse(line));
+                } catch (e) {
+                    // A partially written line left by a crash
+                    logger.error(`Skipping a broken rate limits line: ${line}`);
+                }
+            });
+
+        logger.info(`Loaded the rate limits of ${this.states.size} sender key(s) from '${this.filename}'`);
+    }
+
+    /**
+     * Rewrites the file leaving only the counts and the issues younger than `retentionDays`, see server.js
+     */
+    compact() {
+        const expiresOn = Date.now() - this.retentionDays * DAY;
+        const lines = [];
+
+        this.states.forEach((state, key) => {
+            state.hits = state.hits.filter(hit => hit.at >= expiresOn);
+            if (state.issuedOn < expiresOn) {
+                state.issueId = '';
+                state.issuedOn = 0;
+            }
+            if (!state.hits.length && !state.issueId) {
+                this.states.delete(key);
+                return;
+            }
+
+            state.hits.forEach(hit => lines.push(JSON.stringify({ key, at: hit.at, id: hit.id }) + '\n'));
+            if (state.issueId)
+                lines.push(JSON.stringify({ key, at: state.issuedOn, issueId: state.issueId }) + '\n');
+        });
+
+        if (lines.length === this.lineCount)
+            return;
+
+        try {
+            this.ensureDir();
+            const tmp = this.filename + '.tmp';
+            fs.writeFileSync(tmp, lines.join(''));
+            fs.renameSync(tmp, this.filename);
+            this.lineCount = lines.length;
+        } catch (e) {
+            logger.error(`Error compacting the rate limits '${this.filename}': ${e}`);
+        }
+    }
+
+    ensureDir() {
+        try {
+            fs.mkdirSync(path.dirname(this.filename));
+        } catch (e) {
+            if (e.code !== 'EEXIST')
+                throw e;
+        }
+    }
+
+    /**
+     * @param entry { Object } Either a count { key, at, id } or an issue { key, at, issueId }
+     * @returns { Boolean } Whether the state changed
+     */
+    apply(entry) {
+        const state = this.getState(entry.key);
+        if (entry.issueId) {
+            if (entry.at < state.issuedOn)
+                return false;
+            state.issueId = entry.issueId;
+            state.issuedOn = entry.at;
+            return true;
+        }
+        if (state.hits.some(hit => hit.id === entry.id))
+            return false;
+        state.hits.push({ at: entry.at, id: entry.id });
+        return true;
+    }
+
+    append(entry) {
+        if (!this.apply(entry))
+            return;
+        try {
+            this.ensureDir();
+            fs.appendFileSync(this.filename, JSON.stringify(entry) + '\n');
+            this.lineCount++;
+        } catch (e) {
+            logger.error(`Error writing the rate limits of '${entry.key}': ${e}`);
+        }
+    }
+
+    /**
+     * Counts the message for the keys of its sender and returns the counts within the window
+     * @param message The message having `location` and `header`
+     * @param keys { Object } See `makeKeys`
+     * @param timeSpan { Number } The window in minutes
+     * @returns { Object } kind -> the number of messages including this one
+     */
+    hit(message, keys, timeSpan) {
+        const now = Date.now();
+        const id = this.getMessageKey(message);
+        const since = now - timeSpan * MINUTE;
+        const expiresOn = now - this.retentionDays * DAY;
+
+        return Object
+            .keys(keys)
+            .reduce((result, kind) => {
+                const state = this.getState(keys[kind]);
+                // The older counts are not needed until the next compaction
+                state.hits = state.hits.filter(hit => hit.at >= expiresOn);
+                this.append({ key: keys[kind], at: now, id });
+                result[kind] = state.hits.filter(hit => hit.at > since).length;
+                return result;
+            }, {});
+    }
+
+    /**
+     * Finds the most severe action whose threshold is exceeded
+     * @param counts { Object } kind -> count, see `hit`
+     * @param limits { Object } kind -> { flag, merge, reject }, 0 or no threshold disables the action
+     * @returns { Object } { action, kind, count, limit } or null if the sender is within the limits
+     */
+    evaluate(counts, limits) {
+        return Object
+            .keys(counts)
+            .reduce((result, kind) => {
+                const thresholds = limits[kind] || {};
+                actions.forEach((action, severity) => {
+                    const limit = thresholds[action];
+                    if (!limit || counts[kind] <= limit)
+                        return;
+                    if (!result || actions.indexOf(result.action) < severity)
+                        result = { action, kind, count: counts[kind], limit };
+                });
+                return result;
+            }, null);
+    }
+
+    /**
+     * The key of the issues of the sender created in the HPSM instance, like `https://hpsm:13080/SM/9/rest person:PRS000000000001`
+     * @param key { String } See `makeKeys`
+     * @param endpoint { String } See `getEndpoint` in rest.js
+     * @returns { String }
+     */
+    makeIssueKey(key, endpoint) {
+        return `${endpoint} ${key}`;
+    }
+
+    /**
+     * Remembers the issue created for the sender, the later messages within the window may be merged into it
+     * @param keys { Object } See `makeKeys`, the issue is kept for the person and the address only
+     * @param endpoint { String } The HPSM instance of the issue, see `getEndpoint` in rest.js
+     * @param issueId { String }
+     */
+    remember(keys, endpoint, issueId) {
+        const at = Date.now();
+        issueKinds
+            .filter(kind => !!keys[kind])
+            .forEach(kind => this.append({ key: this.makeIssueKey(keys[kind], endpoint), at, issueId }));
+    }
+
+    /**
+     * The latest issue created for the person or the address of the sender in the HPSM instance within the window
+     * @param keys { Object } See `makeKeys`
+     * @param endpoint { String } See `getEndpoint` in rest.js
+     * @param timeSpan { Number } The window in minutes
+     * @returns { String } The issueId or an empty string
+     */
+    getIssueId(keys, endpoint, timeSpan) {
+        const since = Date.now() - timeSpan * MINUTE;
+        const latest = issueKinds
+            .filter(kind => !!keys[kind])
+            .map(kind => this.states.get(this.makeIssueKey(keys[kind], endpoint)))
+            .filter(state => state && state.issueId && state.issuedOn > since)
+            .sort((a, b) => b.issuedOn - a.issuedOn)[0];
+        return latest ? latest.issueId : '';
+    }
+}
+
+const rateLimiter = new RateLimiter(config.rateLimits);
+
+module.exports = () => rateLimiter;
@@ -0,0 +1,104 @@
+/**
+ * Recognizes the quoted history and the signatures of the replies made by the common mail clients,
+ * see `removeComments` in imap.js
+ */
+'use strict';
+
+// The headers of the quoted messages, the message is cut at the first one
+const quoteHeaders = [
+    // Outlook and The Bat!
+    /^\s*-{2,}\s*(?:Original Message|Исходное сообщение|Forwarded message|Пересылаемое сообщение|Пересланное сообщение)\s*-*/im,
+    // Outlook, the header block of the quoted message, on the separate lines in the text
+    /^\s*\*?(?:From|От|Від)\s*:\*?[^\n]*?(?:\n[^\n]*){0,3}?\s*\*?(?:Sent|Date|Отправлено|Дата|Надіслано)\s*:/im,
+    // Gmail, Thunderbird and Apple Mail, the line may be wrapped
+    /^\s*On\b[^\n]*(?:\n[^\n]*)?\bwrote\s*:\s*$/im,
+    // Thunderbird and The Bat! in Russian: `13.03.2017 10:00, Иван Петров пишет:`
+    /^[^\n]*\d[^\n]*\s(?:написал|написала|написал\(а\)|пишет|пише)\s*:\s*$/im,
+    // Gmail, Yandex and Mail.ru in Russian: `13 мар. 2017 г., в 10:00, Иван <ivan@example.com>:`
+    /^[^\n]*\d{4}[^\n]*<[^<>\s]+@[^<>\s]+>\s*:\s*$/im
+];
+
+// The signatures, the message is cut at the first one
+const signatures = [
+    // RFC 3676 signature delimiter
+    /^-- ?$/m,
+    /^\s*(?:Sent from my|Sent from Mail for|Отправлено с|Отправлено из)\s/im
+];
+
+// The elements holding the quoted messages: the message is cut at the elements starting the history
+// and the quotes, which may be interleaved with the answers, are removed
+const cutSelectors = ['#divRplyFwdMsg', '.gmail_quote', '.yahoo_quoted', '#mail-app-auto-quote',
+    'div[style*="border-top:solid #E1E1E1"]', 'div[style*="border-top:solid #B5C4DF"]', '.OutlookMessageHeader'];
+const removeSelectors = ['blockquote[type="cite"]', '.moz-cite-prefix', '.gmail_attr'];
+const signatureSelectors = ['.gmail_signature', '.moz-signature', '#Signature', '#signature'];
+
+// Fwd:, FW:, Пересл:
+const forwardRe = /^\s*(?:fwd?|пересл)\s*:/i;
+
+class ReplyParser {
+    /**
+     * @param config { Object } See `replies` in config.js
+     * @param subject { String } The forwarded messages keep their history unless `keepForwarded` is off
+     * @param isReply { Boolean } The other messages are kept as they are, see `isReply` in imap.js
+     */
+    constructor(config, subject, isReply) {
+        this.config = Object.assign({ enabled: false, signatures: true, keepForwarded: true }, config);
+        if (!isReply || this.config.keepForwarded && forwardRe.test(subject || '')) {
+            this.config.enabled = false;
+        }
+    }
+
+    /**
+     * @returns { Array } The regular expressions to cut the message at, like `commentDelimiters`
+     */
+    getDelimiters() {
+        if (!this.config.enabled) {
+            return [];
+        }
+        return quoteHeaders.concat(this.config.signatures ? signatures : []);
+    }
+
+    /**
+     * Removes the quoted messages and the signatures marked by the mail clients.
+     * The blocks get separated by the line breaks for the headers to be found by `getDelimiters`
+     * @param $ The cheerio document
+     * @param $body The body or the root of an html fragment
+     * @param truncate { Function } Cuts the document at the element, see `removeComments`
+     */
+    cleanHtml($, $body, truncate) {
+        if (!this.config.enabled) {
+            return;
+        }
+
+        // The headers are matched at the start of the lines, like in the text
+        $body.find('br, p, div, tr, li, blockquote, h1, h2, h3, h4, h5, h6').after('\n');
+
+        const selectors = this.config.signatures ? removeSelectors.concat(signatureSelectors) : removeSelectors;
+        $body.find(selectors.join(', ')).remove();
+        cutSelectors.forEach(selector => {
+            const $found = $body.find(selector).first();
+            if ($found.length) {
+                truncate($found);
+            }
+        });
+    }
+
+    /**
+     * Removes the `>` quoted lines, the answers interleaved with them are kept
+     * @param text { String }
+     * @returns { String }
+     */
+    cleanText(text) {
+        if (!this.config.enabled) {
+            return text;
+        }
+
+        return text
+            .split(/\r?\n/)
+            .filter(line => !/^\s*>/.test(line))
+            .join('\n')
+            .replace(/\s+$/, '');
+    }
+}
+
+module.exports = (config, subject, isReply) => new ReplyParser(config, subject, isReply);
@@ -0,0 +1,122 @@
+/**
+ * Runs the messages of a failure folder through the processing again, see `POST /reprocess` of the admin API.
+ * The running application does the work, so its admin API must be enabled
+ *
+ * node reprocess-cli --server name --mailbox name [--uid 1,2] [--from text] [--since date] [--until date]
+ *                    [--reason outcome] [--dry-run] [--json] [--timeout seconds] [--config path]
+ */
+'use strict';
+
+const http      = require('http');
+const parseArgs = require('./cli-args');
+
+const usage = `Usage: node reprocess-cli --server <name> --mailbox <name> [options]
+
+Selects the messages in the failure folder of the mailbox and processes them again:
+the processed ones are moved to the success folder, the ones failing again stay.
+
+Options:
+  --server <name>     The server in the configuration
+  --mailbox <name>    The configured mailbox, e.g. INBOX, not its failure folder
+  --uid <list>        The UIDs in the failure folder, comma separated
+  --from <text>       The sender contains the text
+  --since <date>      Received on or after the day, YYYY-MM-DD
+  --until <date>      Received on or before the day, YYYY-MM-DD
+  --reason <name>     The last failure according to the journal:
+                      spam, unknownSender, restError, moveError, infected, scanError
+  --dry-run           Only list the selected messages
+  --json              Print the response of the admin API
+  --timeout <seconds> Give up waiting for the response, 600 by default
+  --config <path>     The configuration file, see README.md
+  --help              Show this help`;
+
+const fail = message => {
+    console.error(message);
+    process.exit(1);
+};
+
+function format(message) {
+    const produced = message.commentId ? `${message.issueId}/${message.commentId}` : message.issueId;
+
+    return [
+        `#${message.uid}`,
+        message.reason || 'unknown',
+        message.outcome ? `-> ${message.outcome}` : '',
+        produced || '',
+        message.from,
+        JSON.stringify(message.subject || '')
+    ].filter(Boolean).join('  ');
+}
+
+let options;
+try {
+    // --config is read by the configuration loader as well
+    options = parseArgs(process.argv.slice(2),
+        ['server', 'mailbox', 'uid', 'from', 'since', 'until', 'reason', 'timeout'], ['dry-run', 'json', 'help']);
+} catch (e) {
+    fail(`${e.message}\n\n${usage}`);
+}
+
+if (options.help) {
+    console.log(usage);
+    process.exit(0);
+}
+
+if (!options.server || !options.mailbox)
+    fail(`Both --server and --mailbox are required\n\n${usage}`);
+
+const timeout = options.timeout === undefined ? 600 : Number(options.timeout);
+if (!(timeout > 0))
+    fail(`--timeout must be a positive number of seconds\n\n${usage}`);
+
+let config;
+try {
+    config = Object.assign({ enabled: false, host: '127.0.0.1', port: 8025 }, require('./config-loader')().adminConfig);
+} catch (e) {
+    fail(e.message);
+}
+
+if (!config.enabled)
+    fail('The admin API is disabled, enable it with `adminConfig.enabled`');
+
+const query = ['server', 'mailbox', 'uid', 'from', 'since', 'until', 'reason']
+    .filter(name => options[name] !== undefined)
+    .map(name => `${name}=${encodeURIComponent(options[name])}`)
+    .concat(options['dry-run'] ? ['dryRun=1'] : [])
+    .join('&');
+
+const headers = config.token ? { Authorization: `Bearer ${config.token}` } : {};
+
+const req = http.request({ host: config.host, port: config.port, method: 'POST', path: `/reprocess?${query}`, headers }, res => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => body += chunk);
+    res.on('end', () => {
+        let result;
+        try {
+            result = JSON.parse(body);
+        } catch (e) {
+            fail(`Unexpected response of the admin API: ${res.statusCode} ${body}`);
+        }
+
+        if (res.statusCode !== 200)
+            fail(`Error: ${result.error}`);
+
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+            return;
+        }
+
+        result.messages.forEach(message => console.log(format(message)));
+        const action = result.dryRun ? 'would be reprocessed' : 'reprocessed';
+        console.log(`${result.messages.length} of ${result.selected} message(s) in '${result.folder}' ${action}`);
+    });
+});
+
+// The application goes on with the messages, the ones processed so far are in the journal
+req.setTimeout(timeout * 1000, () => {
+    req.abort();
+    fail(`No response of the admin API in ${timeout} seconds, see the journal for the processed messages`);
+});
+req.on('error', err => fail(`Could not reach the admin API at ${config.host}:${config.port}: ${err.message}`));
+req.end();
@@ -4,14 +4,68 @@
 'use strict';
 const request = require('request');
 const logger  = require('./logger')();
+const metrics = require('./metrics')();
+const subjectTags = require('./subject-tags');
+const router  = require('./router');
+const rateLimiter = require('./rate-limiter')();
 
-const config = require('./config');
+const config = require('./config-loader')();
 
 class Rest {
-    constructor() {
-        this.config = config.restConfig;
+    /**
+     * @param restConfig The REST configuration, defaults to `restConfig` of config.js
+     */
+    constructor(restConfig) {
+        this.config = restConfig || config.restConfig;
         if (!this.config)
             throw new Error('Fatal error: the REST configuration not found.');
+        this.logger = logger.context({ stage: 'rest' });
+    }
+
+    /**
+     * Makes a copy of the client writing its log records with the context of the message
+     * and adding the time spent on the requests to its timings
+     * @param message The message having `log` and `timings`
+     * @returns { Rest }
+     */
+    forMessage(message) {
+        const rest = Object.create(this);
+        rest.logger = message.log.child({ stage: 'rest' });
+        rest.timings = message.timings;
+        return rest;
+    }
+
+    /**
+     * Sends the request measuring its latency
+     * @param endpoint { String } The label of the latency metric: Persons, Issues, Comments, attachments, dbQuery
+     * @param options The request options
+     * @param callback The request callback
+     * @returns The request object, so the data can be piped into it
+     */
+    send(endpoint, options, callback) {
+        const start = Date.now();
+        const observe = metrics.restDuration.startTimer({ endpoint, method: options.method });
+        return request(options, (error, response, body) => {
+            const duration = Date.now() - start;
+            observe();
+            if (this.timings)
+                this.timings.rest += duration;
+            this.logger.debug(`REST ${options.method} ${endpoint}`, {
+                endpoint,
+                statusCode: response && response.statusCode,
+                duration
+            });
+            callback(error, response, body);
+        });
+    }
+
+    /**
+     * Identifies the HPSM instance, e.g. to find the issues created by the same REST configuration
+     * @returns { String }
+     */
+    getEndpoint() {
+        const config = this.config;
+        return `${config.protocol}://${config.host}:${config.port}/${config.url}`;
     }
 
     getModelPath (modelName) {
@@ -61,7 +115,7 @@ class Rest {
 
         const processResponse = (resolve, reject) => (error, response, body) => {
             if (error) {
-                logger.error(error);
+                this.logger.error(error);
                 reject(email);
                 return;
             }
@@ -69,19 +123,19 @@ class Rest {
             try {
                 const result = JSON.parse(body);
                 if (result.ReturnCode !== 0) {
-                    logger.error(`Bad server response received from REST interface: ${response}`);
+                    this.logger.error(`Bad server response received from REST interface: ${response}`);
                     reject(email);
                     return;
                 }
                 if (result['@count'] === 0) {
-                    logger.error(`Could not find personId for '${email}'`);
+                    this.logger.error(`Could not find personId for '${email}'`);
                     reject(email);
                     return;
                 }
 
                 const resourceName = result.ResourceName;
                 const id = result.content[0][resourceName].Id;
-                logger.info(`Found personId: ${id} for '${email}'`);
+                this.logger.info(`Found personId: ${id} for '${email}'`);
                 resolve(id);
             } catch (e) {
                 reject(email);
@@ -92,11 +146,56 @@ class Rest {
             Promise.reject(email);
         } else {
             return new Promise((resolve, reject) => {
-                request(options, processResponse(resolve, reject));
+                this.send('Persons', options, processResponse(resolve, reject));
             });
         }
     }
 
+    /**
+     * Finds the id of a record by the value of its field, e.g. the team by its name
+     * @param modelName { String } The model in `paths`, e.g. Teams
+     * @param field { String } The query parameter, e.g. name
+     * @param value { String }
+     * @returns { Promise } Resolved with the id, rejected with `notFound`, `ambiguous` or `lookupError`
+     */
+    findRecordId(modelName, field, value) {
+        const options = {
+            uri: this.getModelPath(modelName) + `?${field}=${encodeURIComponent(value)}`,
+            method: 'GET',
+            auth: this.getAuthObject()
+        };
+
+        return new Promise((resolve, reject) => {
+            this.send(modelName, options, (error, response, body) => {
+                if (error) {
+                    this.logger.error(error);
+                    reject('lookupError');
+                    return;
+                }
+
+                try {
+                    const result = JSON.parse(body);
+                    if (result.ReturnCode !== 0) {
+                        this.logger.error(`Could not look up ${modelName} by ${field}, return code: ${result.ReturnCode}`);
+                        reject('lookupError');
+                    } else if (!result['@count']) {
+                        this.logger.info(`Could not find ${modelName} with ${field} '${value}'`);
+                        reject('notFound');
+                    } else if (result['@count'] > 1) {
+                        this.logger.info(`Found ${result['@count']} ${modelName} with ${field} '${value}'`);
+                        reject('ambiguous');
+                    } else {
+                        const id = result.content[0][result.ResourceName].Id;
+                        this.logger.info(`Found ${modelName} ${id} with ${field} '${value}'`);
+                        resolve(id);
+                    }
+                } catch (e) {
+                    reject('lookupError');
+                }
+            });
+        });
+    }
+
     parseId(prefix, str) {
         const re = new RegExp(prefix + '\\d{12}');
         const parsed = str && str.match && str.match(re);
@@ -106,8 +205,11 @@ class Rest {
 
     getIssueFromSubject(message) {
         const subject = message.header.subject[0];
+        return this.getIssue(this.parseId('SRQ', subject));
+    }
+
+    getIssue(issueId) {
         const path = this.getModelPath('Issues');
-        const issueId = this.parseId('SRQ', subject);
         const uri = path + '/' + issueId;
         const options = {
             uri: uri,
@@ -121,9 +223,9 @@ class Rest {
 
         return new Promise((resolve, reject) => {
 
-            request(options, (error, response, body) => {
+            this.send('Issues', options, (error, response, body) => {
                 if (error) {
-                    logger.error(error);
+                    this.logger.error(error);
                     reject(issueId);
                     return;
                 }
@@ -131,13 +233,13 @@ class Rest {
                 try {
                     const result = JSON.parse(body);
                     if (result.ReturnCode !== 0) {
-                        logger.error(`The issue with issueId:'${issueId}' not found, return code: ${result.ReturnCode}`);
+                        this.logger.error(`The issue with issueId:'${issueId}' not found, return code: ${result.ReturnCode}`);
                         reject(issueId);
                         return;
                     }
 
                     const issue = result.ZIssue;
-                    logger.info(`Found and fetched the issue with issueId: ${issue.Id}`);
+                    this.logger.info(`Found and fetched the issue with issueId: ${issue.Id}`);
                     resolve(issue);
 
                 } catch (e) {
@@ -148,12 +250,30 @@ class Rest {
     }
 
     makeIssue(message) {
+        // The tags like `[P1]` or `#network`, see `subjectTags` in config.js
+        const tagged = subjectTags(this.config.subjectTags).parse(message.header.subject[0]);
+        if (tagged.tags.length)
+            this.logger.info(`Found the subject tags: ${tagged.tags.join(', ')}`);
+
+        // A new issue instead of the reply to a closed one, see `closedIssues` in config.js
+        const linkedIssueId = message.linkedIssueId;
+        const linkField = this.config.closedIssues.linkField;
+        // The reply prefixes and the id of the closed issue are not a part of the new title
+        const title = !linkedIssueId ? tagged.title : tagged.title
+            .replace(new RegExp(`\\[?${linkedIssueId}\\]?`, 'g'), '')
+            .replace(/^\s*((re|fw|fwd|отв|ответ|пересл)(\[\d+\])?\s*:\s*)+/i, '')
+            .replace(/\s{2,}/g, ' ')
+            .trim();
+
         return {
             id: null,
-            title: message.header.subject[0],
+            title: title || tagged.title,
             description: message.body || '',
             externalId: message.uid,
-            parsedFields: message.parsedFields
+            routedFields: message.routedFields,
+            taggedFields: Object.assign({}, tagged.fields, linkedIssueId && linkField ? { [linkField]: linkedIssueId } : {}),
+            parsedFields: message.parsedFields,
+            flaggedFields: message.flaggedFields
         };
     }
 
@@ -174,15 +294,15 @@ class Rest {
         const processResponse = (resolve, reject) => (error, response, body) => {
             if (error || response.statusCode !== 200) {
                 let err = error || `Error inserting a new issue`;
-                logger.error(err);
-                logger.error(response.body.Messages.join(', '));
+                this.logger.error(err);
+                this.logger.error(response.body.Messages.join(', '));
                 reject(err);
                 return;
             }
 
             try {
                 if (body.ReturnCode !== 0) {
-                    logger.error('Error: could not parse the server response');
+                    this.logger.error('Error: could not parse the server response');
                     reject(null);
                     return;
                 }
@@ -190,10 +310,10 @@ class Rest {
                 const message = body.Messages[0];
                 const issueId = this.parseId('SRQ', message);
                 if (issueId) {
-                    logger.info(`Created an issue with id: ${issueId}`);
+                    this.logger.info(`Created an issue with id: ${issueId}`);
                     resolve(issueId);
                 } else {
-                    logger.error('Error: could not parse the issueId from response');
+                    this.logger.error('Error: could not parse the issueId from response');
                     reject(null);
                 }
             } catch (e) {
@@ -205,7 +325,8 @@ class Rest {
             Object
                 .keys(obj)
                 .forEach(field => {
-                    if (Date.parse(obj[field])) {
+                    // The dates parsed from the body, see `parseDate` in imap.js
+                    if (typeof obj[field] === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}$/.test(obj[field])) {
                         //console.log('A date is found %s', obj[field]);
                         obj[field] += timeZone || '+00:00';
                     }
@@ -214,7 +335,8 @@ class Rest {
         };
 
         return new Promise((resolve, reject) => {
-            const getIssueObj = () => Object.assign({}, defaults, issue.parsedFields, fields);
+            const getIssueObj = () => Object.assign({}, defaults, issue.routedFields, issue.taggedFields, issue.parsedFields,
+                issue.flaggedFields, fields);
             const getOptions = issueObj => {
                 return {
                     uri: uri,
@@ -236,7 +358,50 @@ class Rest {
                     issue.parsedFields = updateDates(issue.parsedFields);
                     Promise.reject();
                 })
-                .finally(() => request(getOptions(getIssueObj()), processResponse(resolve, reject)));
+                .finally(() => this.send('Issues', getOptions(getIssueObj()), processResponse(resolve, reject)));
+        });
+    }
+
+    /**
+     * Finds the id of the saved attachment in the response like
+     * `{ "ReturnCode": 0, "attachment": { "href": "cid:59c9b1a2000d5f3c8038e2f4", "name": "...", ... } }`
+     * @param result { Object } The parsed response
+     * @returns { String } The id or an empty string
+     */
+    parseAttachmentId(result) {
+        const href = result.attachment && result.attachment.href;
+        return href ? String(href).replace(/^cid:/, '') : '';
+    }
+
+    /**
+     * Updates the fields of a record, e.g. the description of an issue
+     * @param modelName { String } Issues or Comments
+     * @param id { String }
+     * @param fields { Object }
+     * @returns { Promise }
+     */
+    updateRecord(modelName, id, fields) {
+        const root = { Issues: 'ZIssue', Comments: 'ZComment' }[modelName];
+        const options = {
+            uri: this.getModelPath(modelName) + `/${id}`,
+            method: 'PUT',
+            auth: this.getAuthObject(),
+            body: { [root]: fields },
+            json: true
+        };
+
+        return new Promise((resolve, reject) => {
+            this.send(modelName, options, (error, response, body) => {
+                if (error || response.statusCode !== 200 || !body || body.ReturnCode !== 0) {
+                    const err = error || `Error updating ${id}: ${body && body.Messages ? body.Messages.join(', ') : response.statusCode}`;
+                    this.logger.error(err);
+                    reject(err);
+                    return;
+                }
+
+                this.logger.info(`Updated ${id}`);
+                resolve(id);
+            });
         });
     }
 
@@ -255,7 +420,7 @@ class Rest {
         const processResponse = (resolve, reject) => (error, response, body) => {
             if (error || response.statusCode !== 200) {
                 let err = error || `Error saving attachment '${filename}' for msg uid:${messageUid}`;
-                logger.error(err);
+                this.logger.error(err);
                 resolve(err);
                 return;
             }
@@ -263,12 +428,14 @@ class Rest {
             try {
                 const result = JSON.parse(body);
                 if (result.ReturnCode !== 0) {
-                    logger.error(`Bad server response: ${response} while trying to save attachment '${filename}'`);
+                    this.logger.error(`Bad server response: ${response} while trying to save attachment '${filename}'`);
                     resolve(null);
                     return;
                 }
 
-                logger.info(`Saved attachment ${filename} for issue: ${issueId}`);
+                this.logger.info(`Saved attachment ${filename} for issue: ${issueId}`);
+                if (promise.saved)
+                    promise.saved(this.parseAttachmentId(result));
                 resolve(issueId);
             } catch (e) {
                 // Resolve anyway
@@ -276,7 +443,7 @@ class Rest {
             }
         };
 
-        return request(options, processResponse(promise.resolve, promise.reject));
+        return this.send('attachments', options, processResponse(promise.resolve, promise.reject));
     }
 
     createComment(comment) {
@@ -311,15 +478,15 @@ class Rest {
         const processResponse = (resolve, reject) => (error, response, body) => {
             if (error || response.statusCode !== 200) {
                 let err = error || `Error inserting a new comment`;
-                logger.error(err);
-                logger.error(response.body.Messages.join(', '));
+                this.logger.error(err);
+                this.logger.error(response.body.Messages.join(', '));
                 reject(err);
                 return;
             }
 
             try {
                 if (body.ReturnCode !== 0) {
-                    logger.error('Error: could not parse the server response');
+                    this.logger.error('Error: could not parse the server response');
                     reject(null);
                     return;
                 }
@@ -327,10 +494,10 @@ class Rest {
                 const message = body.Messages[0];
                 const commentId = this.parseId('CMT', message);
                 if (commentId) {
-                    logger.info(`Created a comment with id: ${commentId}`);
+                    this.logger.info(`Created a comment with id: ${commentId}`);
                     resolve(commentId);
                 } else {
-                    logger.error('Error: could not parse the commentId from response');
+                    this.logger.error('Error: could not parse the commentId from response');
                     reject(null);
                 }
             } catch (e) {
@@ -339,7 +506,7 @@ class Rest {
         };
 
         return new Promise((resolve, reject) => {
-            request(options, processResponse(resolve, reject));
+            this.send('Comments', options, processResponse(resolve, reject));
         });
     }
 
@@ -358,8 +525,8 @@ class Rest {
         const processResponse = (resolve, reject) => (error, response, body) => {
             if (error || response.statusCode !== 200) {
                 const err = error || `Error saving attachment '${filename}' for msg uid:${messageUid}`;
-                logger.error(err);
-                logger.info('Bad response: ' + JSON.stringify(response || body));
+                this.logger.error(err);
+                this.logger.info('Bad response: ' + JSON.stringify(response || body));
                 reject(err);
                 return;
             }
@@ -367,29 +534,105 @@ class Rest {
             try {
                 const result = JSON.parse(body);
                 if (result.ReturnCode !== 0) {
-                    logger.error(`Bad server response: ${response} while trying to save attachment '${filename}'`);
+                    this.logger.error(`Bad server response: ${response} while trying to save attachment '${filename}'`);
                     reject(null);
                     return;
                 }
 
-                logger.info(`Saved attachment ${filename} for comment: ${commentId}`);
+                this.logger.info(`Saved attachment ${filename} for comment: ${commentId}`);
+                if (promise.saved)
+                    promise.saved(this.parseAttachmentId(result));
                 resolve(commentId);
             } catch (e) {
                 reject(e);
             }
         };
 
-        return request(options, processResponse(promise.resolve, promise.reject));
+        return this.send('attachments', options, processResponse(promise.resolve, promise.reject));
+    }
+
+    /**
+     * Checks the sender against the rate limits of `spam` in config.js. The messages of the person, the address
+     * and the domain are counted in the sliding window of `timeSpan` minutes, the issues of the person
+     * are also queried from the database if `dbQuery` is on. The comments are counted separately by `commentLimits`
+     * @param personId { String } The person of the sender, null if unknown
+     * @param message
+     * @param isComment { Boolean } Whether the message is added to an issue as a comment
+     * @returns { Promise } Resolved with the verdict { action, keys, kind, count, limit }, the action is one of
+     * `allow`, `flag` and `merge`. Rejected with the verdict if the message is to be rejected
+     */
+    checkSpam(personId, message, isComment) {
+        const spam = this.config.spam;
+        const limits = isComment ? spam.commentLimits : spam.limits;
+        const what = isComment ? 'comments' : 'messages';
+        const address = (router().parseAddresses(message.header.from)[0] || '').toLowerCase();
+        const domain = address.split('@')[1] || '';
+        const keys = rateLimiter.makeKeys({
+            person: personId,
+            address,
+            domain: spam.ignoreDomains.indexOf(domain) === -1 ? domain : ''
+        }, isComment ? 'comment' : '');
+
+        if (personId && spam.dontCheckAuthors.indexOf(personId) !== -1) {
+            this.logger.info(`No spam check performed for personId: ${personId}`);
+            return Promise.resolve({ action: 'allow', keys });
+        }
+
+        const hasSpamHeaders = spam.headers.some(header => !!message.header[header]);
+        if (hasSpamHeaders) {
+            this.logger.info(`Spam alert: found an auto-reply header`);
+            return Promise.reject({ action: 'reject', keys });
+        }
+
+        const counts = rateLimiter.hit(message, keys, spam.timeSpan);
+        const dbCount = spam.dbQuery && keys.person && !isComment ?
+            this.countIssuesByPersonId(personId, spam.timeSpan) : Promise.resolve(0);
+
+        return dbCount.then(issues => {
+            // The database also knows the issues created by other means, this message is not among them yet
+            if (keys.person && issues + 1 > counts.person)
+                counts.person = issues + 1;
+
+            const verdict = Object.assign({ keys }, rateLimiter.evaluate(counts, limits) || { action: 'allow' });
+            if (verdict.action === 'allow') {
+                const found = Object.keys(counts).map(kind => `${keys[kind]}: ${counts[kind]}`).join(', ');
+                this.logger.info(`Spam test passed: found ${found} ${what} for the last ${spam.timeSpan} minutes`);
+                return verdict;
+            }
+
+            const msg = [
+                `Spam alert: the number of ${what} '${verdict.count}' from ${keys[verdict.kind]} during the last`,
+                `${spam.timeSpan} minutes exceeds the '${verdict.action}' limit: ${verdict.limit}`
+            ].join(' ');
+            if (verdict.action === 'reject') {
+                this.logger.error(msg);
+                return Promise.reject(verdict);
+            }
+            this.logger.info(msg);
+            return verdict;
+        });
     }
 
-    checkSpamByPersonId(personId, message) {
-        const spam = config.restConfig.spam;
-        const uri = config.restConfig.dbQueryUri;
+    /**
+     * Counts the issues of the customer created during the last minutes, an optional source of `checkSpam`
+     * @param personId { String }
+     * @param timeSpan { Number } Minutes
+     * @returns { Promise } Resolved with the number, 0 if the database is not available
+     */
+    countIssuesByPersonId(personId, timeSpan) {
+        const uri = this.config.dbQueryUri;
+
+        // The id is a part of the query
+        if (this.parseId('PRS', personId) !== personId) {
+            this.logger.error(`Not an id like 'PRS000000000001': '${personId}', the issues are not counted`);
+            return Promise.resolve(0);
+        }
+
         const query = [
             'SELECT COUNT(*) AS ISSUES',
             'FROM Z_ISSUES',
             `WHERE CUSTOMER_ID = '${personId}'`,
-            `AND DATEDIFF(MINUTE, CREATED_ON, GETUTCDATE()) <= ${spam.timeSpan}`
+            `AND DATEDIFF(MINUTE, CREATED_ON, GETUTCDATE()) <= ${parseInt(timeSpan, 10)}`
         ].join(' ');
         const options = {
             uri: uri,
@@ -401,57 +644,34 @@ class Rest {
             json: false
         };
 
-        if (spam.dontCheckAuthors.indexOf(personId) !== -1) {
-            logger.info(`No spam check performed for personId: ${personId}`);
-            return Promise.resolve(personId);
-        }
+        return new Promise(resolve => {
 
-        const hasSpamHeaders = spam.headers.some(header => !!message.header[header]);
-        if (hasSpamHeaders) {
-            logger.info(`Spam alert: found an auto-reply header`);
-            return Promise.reject(personId);
-        }
-
-        return new Promise((resolve, reject) => {
-
-            request(options, (error, response, body) => {
+            this.send('dbQuery', options, (error, response, body) => {
                 if (error || response.statusCode !== 200) {
-                    logger.error(error || `Error making the server request for personId:${personId}`);
-                    resolve(personId);
+                    this.logger.error(error || `Error making the server request for personId:${personId}`);
+                    resolve(0);
                     return;
                 }
 
                 try {
                     const result = JSON.parse(body);
                     if (!result.results || !result.results.length) {
-                        logger.error(`The request for personId:'${personId}' was not successful`);
-                        resolve(personId);
+                        this.logger.error(`The request for personId:'${personId}' was not successful`);
+                        resolve(0);
                         return;
                     }
 
-                    const issues = result.results[0].ISSUES;
-                    if (issues > spam.maxNumOfIssues) {
-                        const msg = [
-                            `Spam alert: the number of issues '${issues}' from ${personId} during the last`,
-                            `${spam.timeSpan} minutes exceeds the maximum allowed: ${spam.maxNumOfIssues}`
-                        ].join(' ');
-                        logger.error(msg);
-                        reject(personId);
-                    } else {
-                        logger.info(`Spam test passed: found ${issues} issue(s) for the last ${spam.timeSpan} minutes`);
-                        resolve(personId);
-                    }
-
+                    resolve(Number(result.results[0].ISSUES) || 0);
                 } catch (e) {
-                    logger.error(e);
-                    resolve(personId);
+                    this.logger.error(e);
+                    resolve(0);
                 }
             });
         });
     }
 
     getTimezoneOffsetByPersonId(personId) {
-        const uri = config.restConfig.dbQueryUri;
+        const uri = this.config.dbQueryUri;
         const query = [
             'SELECT ISNULL(tzo.offset, tzo1.offset) AS OFFSET',
             'FROM dbo.z_persons AS p',
@@ -479,9 +699,9 @@ class Rest {
 
         return new Promise((resolve, reject) => {
 
-            request(options, (error, response, body) => {
+            this.send('dbQuery', options, (error, response, body) => {
                 if (error || response.statusCode !== 200) {
-                    logger.error(error || `Error fetching the timezone for personId:${personId}`);
+                    this.logger.error(error || `Error fetching the timezone for personId:${personId}`);
                     reject(personId);
                     return;
                 }
@@ -489,21 +709,21 @@ class Rest {
                 try {
                     const result = JSON.parse(body);
                     if (!result.results || !result.results.length) {
-                        logger.error(`The timezone request for personId:${personId} was not successful`);
+                        this.logger.error(`The timezone request for personId:${personId} was not successful`);
                         reject(personId);
                         return;
                     }
 
                     const offset = result.results[0].OFFSET;
                     if (!offset) {
-                        logger.error(`Error: timezone offset for personId:${personId} could not be determined`);
+                        this.logger.error(`Error: timezone offset for personId:${personId} could not be determined`);
                         reject(personId);
                     } else {
                         resolve(offset);
                     }
 
                 } catch (e) {
-                    logger.error(e);
+                    this.logger.error(e);
                     reject(personId);
                 }
             });
@@ -512,4 +732,4 @@ class Rest {
 
 }
 
-module.exports = () => new Rest();
+module.exports = (restConfig) => new Rest(restConfig);
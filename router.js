@@ -0,0 +1,148 @@
+/**
+ * Routing of the incoming messages to the issue attributes
+ */
+'use strict';
+
+const logger = require('./logger')();
+
+const isRe = obj => Object.prototype.toString.call(obj) === '[object RegExp]';
+
+class Router {
+    /**
+     * @param config { Object } { mode, rules }, see `routing` in config.js
+     */
+    constructor(config) {
+        this.config = Object.assign({ mode: 'first', rules: [] }, config);
+    }
+
+    /**
+     * Extracts the lowercase addresses from the header values
+     * like `Name <user@host>, other@host`
+     * @param values { Array }
+     * @returns { Array }
+     */
+    parseAddresses(values) {
+        return (values || [])
+            .join(',')
+            .match(/[^\s<>,;:"']+@[^\s<>,;:"']+/g) || [];
+    }
+
+    /**
+     * Collects the recipients of the message: `To`, `Cc`, `Delivered-To` and `X-Original-To`
+     * @param message
+     * @returns { Array }
+     */
+    getRecipients(message) {
+        const header = message.header;
+        return this.parseAddresses([].concat(
+            header.to || [],
+            header.cc || [],
+            header['delivered-to'] || [],
+            header['x-original-to'] || []
+        )).map(address => address.toLowerCase());
+    }
+
+    /**
+     * Checks the value against the condition: a string (case insensitive),
+     * a RegExp or an array of them matching if any of them does
+     * @param condition { String | RegExp | Array }
+     * @param value { String }
+     * @returns { Boolean }
+     */
+    test(condition, value) {
+        if (Array.isArray(condition))
+            return condition.some(item => this.test(item, value));
+
+        if (isRe(condition))
+            return condition.test(value);
+
+        return String(condition).toLowerCase() === String(value).toLowerCase();
+    }
+
+    /**
+     * Checks the recipient address against the condition. A string condition can be
+     * a full address, a local part like `support+network@` or a domain like `@example.ru`
+     * @param condition { String | RegExp | Array }
+     * @param address { String }
+     * @returns { Boolean }
+     */
+    testAddress(condition, address) {
+        if (Array.isArray(condition))
+            return condition.some(item => this.testAddress(item, address));
+
+        if (isRe(condition))
+            return condition.test(address);
+
+        const str = String(condition).toLowerCase();
+        if (str.slice(-1) === '@')
+            return address.indexOf(str) === 0;
+        if (str[0] === '@')
+            return address.slice(-str.length) === str;
+        return address === str;
+    }
+
+    /**
+     * Checks whether the message matches all the conditions of the rule
+     * @param match { Object } The conditions of the rule
+     * @param message
+     * @param boxName
+     * @returns { Boolean }
+     */
+    matches(match, message, boxName) {
+        const header = message.header;
+        const sender = this.parseAddresses(header.from)[0] || '';
+        const recipients = this.getRecipients(message);
+        // The part after `+` in `support+network@example.ru`
+        const tags = recipients
+            .map(address => address.split('@')[0].split('+')[1])
+            .filter(tag => !!tag);
+
+        const checks = {
+            mailbox: condition => this.test(condition, boxName),
+            to: condition => recipients.some(address => this.testAddress(condition, address)),
+            tag: condition => tags.some(tag => this.test(condition, tag)),
+            sender: condition => this.testAddress(condition, sender),
+            senderDomain: condition => this.test(condition, sender.split('@')[1] || ''),
+            subject: condition => this.test(condition, (header.subject || [''])[0]),
+            headers: condition => Object
+                .keys(condition)
+                .every(name => (header[name.toLowerCase()] || []).some(value => this.test(condition[name], value)))
+        };
+
+        return Object
+            .keys(match || {})
+            .every(key => {
+                if (!checks[key]) {
+                    logger.error(`Unknown routing condition '${key}'`);
+                    return false;
+                }
+                return checks[key](match[key]);
+            });
+    }
+
+    /**
+     * Evaluates the rules in order. In the `first` mode the attributes of the first matching rule
+     * are returned, in the `merge` mode the attributes of all matching rules are merged,
+     * the later rules overriding the earlier ones
+     * @param message
+     * @param boxName
+     * @returns { Object } The issue attributes
+     */
+    route(message, boxName) {
+        const merge = this.config.mode === 'merge';
+        const attrs = {};
+
+        this.config.rules.some((rule, i) => {
+            if (!this.matches(rule.match, message, boxName))
+                return false;
+
+            (message.log || logger).info(`Msg uid: ${message.uid} matched the routing rule '${rule.name || i}'`, { stage: 'routing' });
+            Object.assign(attrs, rule.set);
+            return !merge;
+        });
+
+        return attrs;
+    }
+}
+
+module.exports = (config) => new Router(config);
@@ -0,0 +1,232 @@
+/**
+ * The description of an issue or a comment made from the message body: the html is cleaned up
+ * by the allowlists of the tags and the attributes, the text is escaped and its links are made clickable
+ */
+'use strict';
+
+const cheerio = require('cheerio');
+
+// The attributes holding the URLs, their schemes are checked
+const urlAttributes = ['href', 'src', 'background', 'action', 'cite', 'poster'];
+
+const escape = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Escapes the attribute value kept as it's written in the message, since it's always written back within
+ * the double quotes: `title='a" onclick=...'` must not become a new attribute. The character references are kept
+ * @param value { String } The raw attribute value
+ * @returns { String }
+ */
+const escapeAttribute = value => value
+    .replace(/&(?!#?\w+;)/g, '&amp;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Decodes the character references which could hide a scheme like `java&#x73;cript:`
+ * @param value { String } The raw attribute value
+ * @returns { String }
+ */
+const decodeReferences = value => value
+    .replace(/&#x([0-9a-f]+);?/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&#(\d+);?/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&(colon|tab|newline);?/gi, (match, name) => ({ colon: ':', tab: '\t', newline: '\n' })[name.toLowerCase()])
+    // The browsers ignore the control characters and the whitespace in the schemes
+    .replace(/[\u0000- \u007f]/g, '');
+
+class Sanitizer {
+    /**
+     * @param config { Object } See `description` in config.js
+     */
+    constructor(config) {
+        const normalize = list => (list || []).map(item => String(item).toLowerCase());
+
+        this.config = Object.assign({
+            allowedAttributes: {},
+            allowExternalImages: false
+        }, config);
+        this.allowedTags = normalize(this.config.allowedTags);
+        this.droppedTags = normalize(this.config.droppedTags);
+        this.allowedSchemes = normalize(this.config.allowedSchemes);
+        this.allowedAttributes = Object
+            .keys(this.config.allowedAttributes)
+            .reduce((result, tag) => {
+                result[tag.toLowerCase()] = normalize(this.config.allowedAttributes[tag]);
+                return result;
+            }, {});
+    }
+
+    isAttributeAllowed(tag, name) {
+        const attributes = this.allowedAttributes;
+        return ((attributes[tag] || []).indexOf(name) !== -1 || (attributes['*'] || []).indexOf(name) !== -1) &&
+            !/^on/.test(name);
+    }
+
+    /**
+     * @param tag { String }
+     * @param value { String } The raw value of the URL attribute
+     * @returns { Boolean }
+     */
+    isUrlAllowed(tag, value) {
+        const url = decodeReferences(value);
+        const scheme = url.match(/^([^\/?#]*):/);
+
+        if (tag === 'img') {
+            // The images of the message itself, the external ones are mostly the tracking pixels
+            return /^cid:/i.test(url) || /^data:image\//i.test(url) ||
+                (this.config.allowExternalImages && /^https?:/i.test(url));
+        }
+        if (!scheme) {
+            // A relative URL, unless an unknown reference hides the colon
+            return !/&/.test(url.split(/[\/?#]/)[0]);
+        }
+        return this.allowedSchemes.indexOf(scheme[1].toLowerCase()) !== -1;
+    }
+
+    isStyleAllowed(value) {
+        return !/url\s*\(|expression\s*\(|javascript:|behaviou?r\s*:|-moz-binding|@import/i.test(decodeReferences(value));
+    }
+
+    /**
+     * Keeps the allowed tags and attributes only. The dropped tags are removed with their contents,
+     * the other tags which are not allowed are replaced by their contents
+     * @param html { String }
+     * @returns { String }
+     */
+    sanitize(html) {
+        const $ = cheerio.load(html || '', { decodeEntities: false });
+
+        const clean = nodes => {
+            nodes.each((i, node) => {
+                if (node.type === 'text') {
+                    return;
+                }
+                // Comments, including the conditional ones, doctypes and CDATA
+                if (node.type !== 'tag' && node.type !== 'script' && node.type !== 'style') {
+                    $(node).remove();
+                    return;
+                }
+
+                const $node = $(node);
+                const tag = node.name.toLowerCase();
+                if (this.droppedTags.indexOf(tag) !== -1 || node.type !== 'tag') {
+                    $node.remove();
+                    return;
+                }
+
+                clean($node.contents());
+
+                if (this.allowedTags.indexOf(tag) === -1) {
+                    $node.replaceWith($node.contents());
+                    return;
+                }
+
+                Object
+                    .keys(node.attribs)
+                    .forEach(name => {
+                        const value = node.attribs[name];
+                        const attribute = name.toLowerCase();
+                        const allowed = this.isAttributeAllowed(tag, attribute) &&
+                            (urlAttributes.indexOf(attribute) === -1 || this.isUrlAllowed(tag, value)) &&
+                            (attribute !== 'style' || this.isStyleAllowed(value));
+                        if (!allowed)
+                            $node.removeAttr(name);
+                        else
+                            node.attribs[name] = escapeAttribute(value);
+                    });
+
+                if (tag === 'img' && !$node.attr('src')) {
+                    $node.remove();
+                }
+            });
+        };
+
+        clean($.root().contents());
+        return $.html();
+    }
+
+    /**
+     * Escapes the text and makes its links clickable, the line breaks become `<br>`
+     * @param text { String }
+     * @returns { String }
+     */
+    textToHtml(text) {
+        const linkRe = /\b(?:https?:\/\/|www\.)[^\s<>"]+|\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/gi;
+        const source = String(text || '');
+        let html = '';
+        let last = 0;
+        let match;
+
+        while ((match = linkRe.exec(source))) {
+            // The punctuation following a link in a sentence
+            const link = match[0].replace(/[.,;:!?'")\]]+$/, '');
+            const href = /^www\./i.test(link) ? `http://${link}` : (/^[^:\/]+@/.test(link) ? `mailto:${link}` : link);
+
+            html += escape(source.slice(last, match.index)) + `<a href="${escape(href)}">${escape(link)}</a>`;
+            last = match.index + link.length;
+            linkRe.lastIndex = last;
+        }
+
+        html += escape(source.slice(last));
+        return html.replace(/\r?\n/g, '<br>');
+    }
+
+    /**
+     * The text of the html, the paragraphs, the rows and the line breaks are kept on separate lines
+     * @param html { String }
+     * @returns { String }
+     */
+    htmlToText(html) {
+        const $ = cheerio.load(html || '');
+        $('br').replaceWith('\n');
+        $('p, div, tr, li, h1, h2, h3, h4, h5, h6, blockquote, pre, table').append('\n');
+        const $body = $('body');
+        return ($body.length ? $body : $.root()).text().replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Makes a standalone html document of the description, e.g. to save it as a file
+     * @param html { String } Either a document or a fragment
+     * @returns { String }
+     */
+    toDocument(html) {
+        const $ = cheerio.load(html || '', { decodeEntities: false });
+        const $body = $('body');
+        const content = $body.length ? $body.html() : $.html();
+        return `<!DOCTYPE html>\n<html><head><meta charset="utf-8"></head><body>${content}</body></html>`;
+    }
+
+    /**
+     * Shortens the description to `maxLength`, the beginning of its text is kept followed by the notice
+     * @param html { String }
+     * @param notice { String } The text of the notice
+     * @returns { String } The description or null if it fits
+     */
+    truncate(html, notice) {
+        const maxLength = this.config.maxLength;
+        if (!maxLength || html.length <= maxLength) {
+            return null;
+        }
+
+        const suffix = `<br><br>${escape(notice)}`;
+        // The ellipsis takes one more character
+        const budget = Math.max(maxLength - suffix.length - 1, 0);
+        const text = this.htmlToText(html);
+        let length = Math.min(text.length, budget);
+        let result = this.textToHtml(text.slice(0, length));
+
+        // The escaping and the links make the html longer than its text
+        while (result.length > budget && length > 0) {
+            length = Math.max(length - (result.length - budget), 0);
+            result = this.textToHtml(text.slice(0, length));
+        }
+
+        return `${result}…${suffix}`;
+    }
+}
+
+module.exports = (config) => new Sanitizer(config);
+module.exports.escape = escape;
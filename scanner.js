@@ -0,0 +1,128 @@
+/**
+ * Malware scanning of the attachments and of the original messages
+ *
+ * A scanner is an object having `scan(buffer, filename)` which returns a promise resolved with
+ * { infected, signature } and rejected if the content could not be scanned. It may also have
+ * `scanStream(stream, filename)`, then the original messages are streamed to it from the IMAP server
+ * instead of being read into memory. The built-in `clamd` adapter streams the content to clamd
+ * with the INSTREAM command, any other adapter is a module exporting `(options) => scanner`
+ */
+'use strict';
+
+const net           = require('net');
+const path          = require('path');
+const BufferStream  = require('./buffer-stream');
+
+/**
+ * @param n { Number }
+ * @returns { Buffer } The number as 4 bytes in the network order
+ */
+const uint32 = n => Buffer.from([n >>> 24 & 0xff, n >>> 16 & 0xff, n >>> 8 & 0xff, n & 0xff]);
+
+class ClamdScanner {
+    /**
+     * @param options { Object } Either { socket } or { host, port }, the timeout in ms
+     * and the size of the INSTREAM chunks, which must not exceed `StreamMaxLength` of clamd
+     */
+    constructor(options) {
+        this.options = Object.assign({ host: '127.0.0.1', port: 3310, timeout: 30000, chunkSize: 64 * 1024 }, options);
+    }
+
+    connect() {
+        const options = this.options;
+        return options.socket ?
+            net.createConnection(options.socket) :
+            net.createConnection(options.port, options.host);
+    }
+
+    /**
+     * @param buffer { Buffer }
+     * @param filename { String } Only for the error messages
+     * @returns { Promise } Resolved with { infected, signature }
+     */
+    scan(buffer, filename) {
+        return this.scanStream(new BufferStream(buffer), filename);
+    }
+
+    /**
+     * @param stream { Readable } Read once clamd is connected, paused while the socket is busy
+     * @param filename { String } Only for the error messages
+     * @returns { Promise } Resolved with { infected, signature }
+     */
+    scanStream(stream, filename) {
+        const chunkSize = this.options.chunkSize;
+
+        return new Promise((resolve, reject) => {
+            const socket = this.connect();
+            let reply = '';
+            let failed = false;
+
+            const fail = err => {
+                failed = true;
+                socket.destroy();
+                // The rest of the content is skipped for the source, e.g. the IMAP fetch, to finish
+                stream.resume();
+                reject(new Error(`clamd could not scan '${filename}': ${err.message || err}`));
+            };
+
+            socket.setTimeout(this.options.timeout);
+            socket.on('timeout', () => fail('timeout'));
+            socket.on('error', fail);
+            stream.on('error', fail);
+
+            socket.on('connect', () => {
+                socket.write('zINSTREAM\0');
+                stream.on('data', data => {
+                    if (failed)
+                        return;
+                    let flushed = true;
+                    for (let offset = 0; offset < data.length; offset += chunkSize) {
+                        const chunk = data.slice(offset, offset + chunkSize);
+                        socket.write(uint32(chunk.length));
+                        flushed = socket.write(chunk);
+                    }
+                    if (!flushed) {
+                        stream.pause();
+                        socket.once('drain', () => stream.resume());
+                    }
+                });
+                stream.once('end', () => failed || socket.end(uint32(0)));
+            });
+
+            socket.on('data', chunk => {
+                reply += chunk.toString('utf8');
+            });
+
+            socket.on('end', () => {
+                // `stream: OK`, `stream: Eicar-Signature FOUND` or `INSTREAM size limit exceeded. ERROR`
+                const text = reply.replace(/\0/g, '').trim();
+                const found = text.match(/^stream: (.+) FOUND$/);
+
+                if (found)
+                    resolve({ infected: true, signature: found[1] });
+                else if (text === 'stream: OK')
+                    resolve({ infected: false });
+                else
+                    fail(text || 'no reply');
+            });
+        });
+    }
+}
+
+const adapters = {
+    clamd: options => new ClamdScanner(options)
+};
+
+/**
+ * Makes the scanner of the mailbox
+ * @param config { Object } See `scanner` in config.js
+ * @returns The scanner or null if the scanning is disabled
+ * @throws { Error } If the adapter module could not be loaded
+ */
+module.exports = (config) => {
+    if (!config || !config.enabled)
+        return null;
+
+    const adapter = adapters[config.adapter] || require(path.resolve(config.adapter));
+    return adapter(config.options || {});
+};
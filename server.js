@@ -9,7 +9,18 @@
 process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
 
 require('./promise-finally');
+const config = require('./config-loader')();
+// Before the modules logging on load, like the ledger
+const logger = require('./logger')();
+logger.setup(config.logConfig);
+
 const IMAP = require('./imap');
+const admin = require('./admin')(IMAP, config.adminConfig);
+
+// Drop the expired records of the data files
+require('./ledger')().compact();
+require('./rate-limiter')().compact();
+require('./journal')().compact();
 /**
  * Algorithm:
  * 1. Check if all mailboxes exist, exit with warning if some do not
@@ -40,6 +51,7 @@ const IMAP = require('./imap');
 // Spam config:
 //  - query the database - DONE
 //  - check the auto-reply headers - DONE
+//  - count the messages locally by person, address and domain - DONE
 // Remove parsed fields from the message body - CANCELLED, use the truncate delimiters
 // Add <br> to the text messages - DONE
 // Adjust dates passed as parameters for the user's timezone - DONE
@@ -48,6 +60,7 @@ const IMAP = require('./imap');
 // Make use of mailparser for decoding attachments - DONE
 
 IMAP.run();
+admin.start();
 
 if (process.platform === 'win32') {
     require('readline')
@@ -61,10 +74,20 @@ if (process.platform === 'win32') {
         });
 }
 
+// Reload the configuration without dropping the unaffected IMAP sessions
+process.on('SIGHUP', function () {
+    try {
+        IMAP.reload();
+    } catch (e) {
+        logger.error(`Error reloading the configuration: ${e.message}`);
+    }
+});
+
 process.on('SIGINT', function () {
     // graceful shutdown
-    IMAP
+    admin
         .stop()
+        .then(() => IMAP.stop())
         .then(() => {
             console.log('Node-imap server shut down');
             process.exit(0);
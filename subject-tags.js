@@ -0,0 +1,59 @@
+/**
+ * The tags of the subject like `[P1][network] Link down` or `Link down #network` as the issue attributes
+ */
+'use strict';
+
+class SubjectTags {
+    /**
+     * @param config { Object } See `subjectTags` in config.js
+     */
+    constructor(config) {
+        this.config = Object.assign({ brackets: true, hashtags: true, strip: true, tags: {} }, config);
+        this.tags = Object
+            .keys(this.config.tags)
+            .reduce((result, tag) => {
+                result[tag.toLowerCase()] = this.config.tags[tag];
+                return result;
+            }, {});
+    }
+
+    /**
+     * Finds the configured tags in the subject, the unknown tags are left as is
+     * @param subject { String }
+     * @returns { Object } { fields, tags, title }: the issue attributes of the tags, the tags found
+     * and the subject without them unless `strip` is off
+     */
+    parse(subject) {
+        const source = String(subject || '');
+        const result = { fields: {}, tags: [], title: source };
+
+        // Replaces a known tag, the unknown ones are left as is. The later tags override the earlier ones
+        const take = (match, tag, replacement) => {
+            const fields = this.tags[tag.toLowerCase()];
+            if (!fields) {
+                return match;
+            }
+
+            Object.assign(result.fields, fields);
+            result.tags.push(tag);
+            return replacement;
+        };
+
+        let title = source;
+        if (this.config.brackets) {
+            title = title.replace(/\[\s*([^\[\]]+?)\s*\]/g, (match, tag) => take(match, tag, ''));
+        }
+        // After the brackets, so the hashtags override them
+        if (this.config.hashtags) {
+            // Keep the space the hashtag was separated by
+            title = title.replace(/(^|\s)#([^\s#\[\]]+)/g, (match, space, tag) => take(match, tag, space ? ' ' : ''));
+        }
+
+        if (this.config.strip && result.tags.length) {
+            result.title = title.replace(/\s{2,}/g, ' ').trim() || source;
+        }
+        return result;
+    }
+}
+
+module.exports = (config) => new SubjectTags(config);
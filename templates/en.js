@@ -0,0 +1,77 @@
+/**
+ * Notification templates for the senders
+ * The templates may use `{{subject}}` (the subject of the original message without the issueId),
+ * `{{issueId}}` and `{{commentId}}`, the spam notice also `{{timeSpan}}` and `{{maxNumOfIssues}}`
+ */
+module.exports = {
+    issueCreated: {
+        subject: '[{{issueId}}] {{subject}}',
+        text: [
+            'Hello,',
+            '',
+            'Your request "{{subject}}" has been registered as {{issueId}}.',
+            '',
+            'To add information to the request, reply to this message keeping the request number in the subject.',
+            '',
+            'This message was generated automatically.'
+        ].join('\n')
+    },
+    commentAdded: {
+        subject: '[{{issueId}}] {{subject}}',
+        text: [
+            'Hello,',
+            '',
+            'Your message has been added to the request {{issueId}}.',
+            '',
+            'This message was generated automatically.'
+        ].join('\n')
+    },
+    closedIssueComment: {
+        subject: '[{{issueId}}] {{subject}}',
+        text: [
+            'Hello,',
+            '',
+            'Your message has been added to the request {{issueId}}, but the request is already closed.',
+            'If the problem persists, please send a new request without the request number in the subject.',
+            '',
+            'This message was generated automatically.'
+        ].join('\n')
+    },
+    rejectedUnknownSender: {
+        subject: 'Request not registered: {{subject}}',
+        text: [
+            'Hello,',
+            '',
+            'Your request "{{subject}}" has not been registered, because your address',
+            'is not registered with the service desk.',
+            '',
+            'Please contact the administrator to register your address.',
+            '',
+            'This message was generated automatically.'
+        ].join('\n')
+    },
+    rejectedSpam: {
+        subject: 'Request not registered: {{subject}}',
+        text: [
+            'Hello,',
+            '',
+            'Your request "{{subject}}" has not been registered: too many requests received',
+            'from you, more than {{maxNumOfIssues}} in {{timeSpan}} minutes.',
+            '',
+            'Please try again later.',
+            '',
+            'This message was generated automatically.'
+        ].join('\n')
+    },
+    rejectedError: {
+        subject: 'Request not registered: {{subject}}',
+        text: [
+            'Hello,',
+            '',
+            'Your request "{{subject}}" could not be registered due to a technical error.',
+            'The service desk staff will process it manually.',
+            '',
+            'This message was generated automatically.'
+        ].join('\n')
+    }
+};
@@ -0,0 +1,77 @@
+/**
+ * Шаблоны уведомлений отправителям
+ * В шаблонах доступны переменные `{{subject}}` (тема исходного письма без номера заявки),
+ * `{{issueId}}` и `{{commentId}}`, в уведомлении о спаме также `{{timeSpan}}` и `{{maxNumOfIssues}}`
+ */
+module.exports = {
+    issueCreated: {
+        subject: '[{{issueId}}] {{subject}}',
+        text: [
+            'Здравствуйте!',
+            '',
+            'Ваше обращение «{{subject}}» зарегистрировано под номером {{issueId}}.',
+            '',
+            'Чтобы дополнить обращение, ответьте на это письмо, не удаляя номер заявки из темы.',
+            '',
+            'Это письмо сформировано автоматически.'
+        ].join('\n')
+    },
+    commentAdded: {
+        subject: '[{{issueId}}] {{subject}}',
+        text: [
+            'Здравствуйте!',
+            '',
+            'Ваше сообщение добавлено к заявке {{issueId}}.',
+            '',
+            'Это письмо сформировано автоматически.'
+        ].join('\n')
+    },
+    closedIssueComment: {
+        subject: '[{{issueId}}] {{subject}}',
+        text: [
+            'Здравствуйте!',
+            '',
+            'Ваше сообщение добавлено к заявке {{issueId}}, но заявка уже закрыта.',
+            'Если проблема не решена, пожалуйста, отправьте новое обращение без номера заявки в теме письма.',
+            '',
+            'Это письмо сформировано автоматически.'
+        ].join('\n')
+    },
+    rejectedUnknownSender: {
+        subject: 'Обращение не зарегистрировано: {{subject}}',
+        text: [
+            'Здравствуйте!',
+            '',
+            'Ваше обращение «{{subject}}» не зарегистрировано, так как ваш адрес не найден',
+            'в списке пользователей службы поддержки.',
+            '',
+            'Пожалуйста, обратитесь к администратору для регистрации адреса.',
+            '',
+            'Это письмо сформировано автоматически.'
+        ].join('\n')
+    },
+    rejectedSpam: {
+        subject: 'Обращение не зарегистрировано: {{subject}}',
+        text: [
+            'Здравствуйте!',
+            '',
+            'Ваше обращение «{{subject}}» не зарегистрировано: от вас получено слишком много',
+            'обращений — более {{maxNumOfIssues}} за {{timeSpan}} минут.',
+            '',
+            'Пожалуйста, повторите попытку позже.',
+            '',
+            'Это письмо сформировано автоматически.'
+        ].join('\n')
+    },
+    rejectedError: {
+        subject: 'Обращение не зарегистрировано: {{subject}}',
+        text: [
+            'Здравствуйте!',
+            '',
+            'Ваше обращение «{{subject}}» не удалось зарегистрировать из-за технической ошибки.',
+            'Оно будет обработано сотрудниками службы поддержки вручную.',
+            '',
+            'Это письмо сформировано автоматически.'
+        ].join('\n')
+    }
+};
@@ -0,0 +1,77 @@
+/**
+ * Checks the reply parser against the messages of the common mail clients kept in test/reply-parser:
+ * every `name.eml` is cleaned like by `getMessageBody` in imap.js and its text is compared with `name.txt`.
+ * The whitespace is not compared, the html is compared by its text
+ *
+ * Usage: npm test
+ */
+'use strict';
+
+const fs          = require('fs');
+const path        = require('path');
+const cheerio     = require('cheerio');
+const MailParser  = require('mailparser').MailParser;
+
+require('../promise-finally');
+
+const config      = require('../config-loader')();
+const imap        = require('../imap');
+const replyParser = require('../reply-parser');
+const rest        = require('../rest')(config.restConfig);
+
+const dir = path.join(__dirname, 'reply-parser');
+const conn = { getRest: () => rest };
+
+const normalize = text => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * @param file { String } The path of the .eml
+ * @returns { Promise } Resolved with the text left by the parser
+ */
+function clean(file) {
+    return new Promise((resolve, reject) => {
+        const parser = new MailParser();
+
+        parser.on('end', mail => {
+            try {
+                // The headers like the ones fetched by node-imap
+                const header = Object.keys(mail.headers).reduce((result, name) => {
+                    result[name] = [].concat(mail.headers[name]);
+                    return result;
+                }, {});
+                const message = { header, boxName: 'INBOX' };
+                const replies = replyParser(config.restConfig.replies, mail.subject, imap.isReply(conn, message));
+                const body = imap.removeComments(mail.html || mail.text, config.restConfig, !!mail.html, replies);
+                resolve(mail.html ? cheerio.load(body).root().text() : body);
+            } catch (e) {
+                reject(e);
+            }
+        });
+        fs.createReadStream(file).pipe(parser);
+    });
+}
+
+const names = fs
+    .readdirSync(dir)
+    .filter(name => path.extname(name) === '.eml')
+    .map(name => path.basename(name, '.eml'));
+
+let failed = 0;
+
+names
+    .reduce((promise, name) => promise.then(() => clean(path.join(dir, `${name}.eml`)).then(actual => {
+        const expected = fs.readFileSync(path.join(dir, `${name}.txt`), 'utf8');
+        if (normalize(actual) === normalize(expected)) {
+            console.log(`ok ${name}`);
+            return;
+        }
+        failed++;
+        console.log(`FAILED ${name}\n  expected: ${normalize(expected)}\n  actual:   ${normalize(actual)}`);
+    })), Promise.resolve())
+    .then(() => {
+        console.log(`${names.length - failed} of ${names.length} passed`);
+        process.exitCode = failed ? 1 : 0;
+    }, e => {
+        console.error(e.stack || e);
+        process.exitCode = 1;
+    });
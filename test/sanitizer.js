@@ -0,0 +1,58 @@
+/**
+ * Checks the sanitizer of the descriptions, see sanitizer.js, with the `description` settings of config.js:
+ * every case is the html of a message and the description expected to be made of it
+ *
+ * Usage: npm test
+ */
+'use strict';
+
+const config    = require('../config');
+const sanitizer = require('../sanitizer')(config.restConfig.description);
+
+const cases = [
+    // The attributes written in the single quotes do not break out of the double quotes
+    ['single-quoted src', `<img src='cid:a" onerror="alert(1)'>`, '<img src="cid:a&quot; onerror=&quot;alert(1)">'],
+    ['single-quoted href', `<a href='http://x/" onmouseover=alert(1)'>x</a>`, '<a href="http://x/&quot; onmouseover=alert(1)">x</a>'],
+    ['single-quoted title', `<p title='a" onclick=alert(1)'>t</p>`, '<p title="a&quot; onclick=alert(1)">t</p>'],
+    ['references kept', '<a href="http://x/?a=1&amp;b=2&c=3" title="&quot;q&quot;">q</a>',
+        '<a href="http://x/?a=1&amp;b=2&amp;c=3" title="&quot;q&quot;">q</a>'],
+
+    ['event handlers', '<p onclick="alert(1)" ONMOUSEOVER="alert(1)" align="center">x</p>', '<p align="center">x</p>'],
+    ['dropped tags', '<p>a</p><script>alert(1)</script><style>p {}</style><iframe src="http://x/"></iframe><p>b</p>',
+        '<p>a</p><p>b</p>'],
+    ['comments', '<p>a<!-- secret --><!--[if mso]><b>x</b><![endif]--></p>', '<p>a</p>'],
+    ['unknown tags', '<custom><p>a</p></custom><form><input value="x"></form>', '<p>a</p>'],
+    ['javascript links', '<a href="javascript:alert(1)">a</a><a href="java&#x73;cript:alert(1)">b</a><a href=" jav\tascript:x">c</a>',
+        '<a>a</a><a>b</a><a>c</a>'],
+    ['allowed links', '<a href="https://example.com/a">a</a><a href="mailto:bob@example.com">b</a><a href="/relative">c</a>',
+        '<a href="https://example.com/a">a</a><a href="mailto:bob@example.com">b</a><a href="/relative">c</a>'],
+    ['images', '<img src="cid:logo"><img src="data:image/png;base64,AAAA"><img src="http://tracker.example.com/p.gif"><img>',
+        '<img src="cid:logo"><img src="data:image/png;base64,AAAA">'],
+    ['styles', '<p style="color: red">a</p><p style="background: url(http://x/)">b</p><p style="width: expression(alert(1))">c</p>',
+        '<p style="color: red">a</p><p>b</p><p>c</p>']
+];
+
+const textCases = [
+    ['escaping', 'a < b & "c"', 'a &lt; b &amp; &quot;c&quot;'],
+    ['links', 'See www.example.com, or mail bob@example.com.\nhttps://example.com/?a=1&b="2"',
+        'See <a href="http://www.example.com">www.example.com</a>, or mail <a href="mailto:bob@example.com">bob@example.com</a>.' +
+        '<br><a href="https://example.com/?a=1&amp;b=">https://example.com/?a=1&amp;b=</a>&quot;2&quot;']
+];
+
+let failed = 0;
+
+const check = (name, actual, expected) => {
+    if (actual === expected) {
+        console.log(`ok ${name}`);
+        return;
+    }
+    failed++;
+    console.log(`FAILED ${name}\n  expected: ${expected}\n  actual:   ${actual}`);
+};
+
+cases.forEach(test => check(test[0], sanitizer.sanitize(test[1]), test[2]));
+textCases.forEach(test => check(test[0], sanitizer.textToHtml(test[1]), test[2]));
+
+const total = cases.length + textCases.length;
+console.log(`${total - failed} of ${total} passed`);
+process.exitCode = failed ? 1 : 0;